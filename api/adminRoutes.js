@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const express = require('express');
+const { GameConfig } = require('../config/GameConfig');
+const { applyConfig, ConfigError } = require('../config/loadConfig');
+
+function tokensMatch(expected, provided) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(provided || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Admin actions, behind a bearer token (ADMIN_TOKEN). Without a token configured they are disabled.
+function createAdminRouter({ roomManager, clients, adminToken, kickClient, announce }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!adminToken) {
+      res.status(503).json({ error: 'adminDisabled' });
+      return;
+    }
+    const header = req.get('authorization') || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : req.get('x-admin-token');
+    if (!tokensMatch(adminToken, provided)) {
+      res.status(401).json({ error: 'unauthorized' });
+      return;
+    }
+    next();
+  });
+
+  router.post('/kick', (req, res) => {
+    const { clientId, reason } = req.body || {};
+    if (!clients.has(clientId)) {
+      res.status(404).json({ error: 'clientNotFound' });
+      return;
+    }
+    if (reason !== undefined && typeof reason !== 'string') {
+      res.status(400).json({ error: 'invalidReason' });
+      return;
+    }
+    kickClient(clientId, reason || 'Kicked by an administrator');
+    res.json({ kicked: clientId });
+  });
+
+  // Connected clients with at least one protocol or anti-cheat violation or a chat mute, worst first
+  router.get('/violations', (req, res) => {
+    const now = Date.now();
+    const offenders = [];
+    clients.forEach((entry) => {
+      const total = Object.values(entry.violations || {}).reduce((sum, count) => sum + count, 0);
+      const mutedUntil = entry.mutedUntil && entry.mutedUntil > now ? entry.mutedUntil : null;
+      if (total === 0 && !mutedUntil) return;
+      offenders.push({
+        clientId: entry.clientId,
+        roomId: entry.roomId,
+        name: entry.playerName || null,
+        total,
+        violations: entry.violations || {},
+        mutedUntil
+      });
+    });
+    offenders.sort((a, b) => b.total - a.total);
+    res.json({ clients: offenders });
+  });
+
+  router.post('/announce', (req, res) => {
+    const { message, roomId } = req.body || {};
+    if (typeof message !== 'string' || message.trim() === '') {
+      res.status(400).json({ error: 'messageRequired' });
+      return;
+    }
+    if (roomId && !roomManager.getRoom(roomId)) {
+      res.status(404).json({ error: 'roomNotFound' });
+      return;
+    }
+    announce(message.trim(), roomId || null);
+    res.json({ announced: true });
+  });
+
+  // Mutes a client's chat for `duration` ms (CHAT_MUTE_DURATION by default); duration 0 unmutes
+  router.post('/mute', (req, res) => {
+    const { clientId, duration } = req.body || {};
+    const entry = clients.get(clientId);
+    if (!entry) {
+      res.status(404).json({ error: 'clientNotFound' });
+      return;
+    }
+    const mutedFor = duration === undefined ? GameConfig.CHAT_MUTE_DURATION : Number(duration);
+    if (!Number.isFinite(mutedFor) || mutedFor < 0) {
+      res.status(400).json({ error: 'invalidDuration' });
+      return;
+    }
+
+    entry.mutedUntil = mutedFor > 0 ? Date.now() + mutedFor : null;
+    console.log(`[ADMIN] ${mutedFor > 0 ? `Muted ${clientId} for ${mutedFor} ms` : `Unmuted ${clientId}`}`);
+    res.json({ clientId, mutedUntil: entry.mutedUntil });
+  });
+
+  // Starts or stops recording a room; { roomId, enabled }
+  router.post('/record', (req, res) => {
+    const { roomId, enabled } = req.body || {};
+    const room = roomManager.getRoom(roomId);
+    if (!room) {
+      res.status(404).json({ error: 'roomNotFound' });
+      return;
+    }
+    if (typeof enabled !== 'boolean') {
+      res.status(400).json({ error: 'enabledRequired' });
+      return;
+    }
+
+    const replayId = room.replayId;
+    if (enabled) {
+      room.startRecording();
+    } else {
+      room.stopRecording();
+    }
+    console.log(`[ADMIN] Recording of room ${roomId} ${enabled ? 'started' : 'stopped'}`);
+    res.json({ roomId, recording: Boolean(room.recorder), replayId: room.replayId || replayId });
+  });
+
+  // { roomId, kind: 'essence' | 'npc', x, y, count?, essenceType?, rarity?, npcType? }
+  router.post('/spawn', (req, res) => {
+    const { roomId, kind, x, y, essenceType, rarity, npcType } = req.body || {};
+    const room = roomManager.getRoom(roomId);
+    if (!room) {
+      res.status(404).json({ error: 'roomNotFound' });
+      return;
+    }
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      res.status(400).json({ error: 'positionRequired' });
+      return;
+    }
+    const count = Math.max(1, Math.min(100, Math.floor(Number(req.body.count) || 1)));
+
+    const spawned = [];
+    if (kind === 'essence') {
+      if (essenceType && !GameConfig.ESSENCE_TYPES.includes(essenceType)) {
+        res.status(400).json({ error: 'unknownEssenceType' });
+        return;
+      }
+      if (rarity && !GameConfig.ESSENCE_RARITIES.includes(rarity)) {
+        res.status(400).json({ error: 'unknownRarity' });
+        return;
+      }
+      for (let i = 0; i < count; i++) {
+        spawned.push(room.world.spawnEssence(x, y, essenceType || undefined, rarity || undefined).id);
+      }
+    } else if (kind === 'npc') {
+      if (npcType && !GameConfig.NPC_ARCHETYPES[npcType]) {
+        res.status(400).json({ error: 'unknownNpcType' });
+        return;
+      }
+      for (let i = 0; i < count; i++) {
+        spawned.push(room.world.spawnNPC(x, y, npcType || undefined).id);
+      }
+    } else {
+      res.status(400).json({ error: 'unknownKind' });
+      return;
+    }
+
+    res.json({ spawned });
+  });
+
+  // Live GameConfig changes, checked with the same rules as startup config; applied all or nothing.
+  // Settings that are only read at startup are refused.
+  router.patch('/config', (req, res) => {
+    const changes = req.body || {};
+    try {
+      applyConfig(changes, { live: true });
+    } catch (err) {
+      if (!(err instanceof ConfigError)) throw err;
+      res.status(400).json({ error: 'invalidConfig', errors: err.errors });
+      return;
+    }
+
+    Object.keys(changes).forEach((key) => {
+      console.log(`[ADMIN] GameConfig.${key} set to`, JSON.stringify(changes[key]));
+    });
+    res.json({ updated: changes });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
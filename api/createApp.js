@@ -0,0 +1,27 @@
+const express = require('express');
+const cors = require('cors');
+const { createStatusRouter } = require('./statusRoutes');
+const { createAdminRouter } = require('./adminRoutes');
+
+// CLIENT_URL / FRONTEND_URL restrict CORS to the frontend; with neither set any origin is allowed
+function getCorsOrigins() {
+  const origins = [process.env.CLIENT_URL, process.env.FRONTEND_URL].filter(Boolean);
+  return origins.length > 0 ? Array.from(new Set(origins)) : true;
+}
+
+function createApp(context) {
+  const app = express();
+  app.use(cors({ origin: getCorsOrigins() }));
+  app.use(express.json({ limit: '16kb' }));
+
+  app.use(createStatusRouter(context));
+  app.use('/admin', createAdminRouter(context));
+
+  app.get('/', (req, res) => {
+    res.send('Essence.io WS server');
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
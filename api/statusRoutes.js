@@ -0,0 +1,95 @@
+const express = require('express');
+const { GameConfig } = require('../config/GameConfig');
+const { listReplays } = require('../storage/ReplayFile');
+
+// Read-only status endpoints: health, readiness, rooms, players, leaderboards, player stats, profiles,
+// high scores, match recordings and tick timing
+function createStatusRouter({ roomManager, clients, profiles, replayDir, isReady }) {
+  const router = express.Router();
+
+  router.get('/health', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+  });
+
+  router.get('/ready', (req, res) => {
+    const ready = isReady();
+    res.status(ready ? 200 : 503).json({ ready });
+  });
+
+  router.get('/rooms', (req, res) => {
+    res.json({ rooms: roomManager.listRooms() });
+  });
+
+  router.get('/rooms/:roomId', (req, res) => {
+    const room = roomManager.getRoom(req.params.roomId);
+    if (!room) {
+      res.status(404).json({ error: 'roomNotFound' });
+      return;
+    }
+    res.json({ room: room.getStats(), players: room.getPlayerList(), leaderboard: room.leaderboard });
+  });
+
+  router.get('/rooms/:roomId/stats', (req, res) => {
+    const room = roomManager.getRoom(req.params.roomId);
+    if (!room) {
+      res.status(404).json({ error: 'roomNotFound' });
+      return;
+    }
+    res.json(room.getPlayerStats());
+  });
+
+  router.get('/leaderboard', (req, res) => {
+    const rooms = Array.from(roomManager.rooms.values()).map(room => ({ roomId: room.id, entries: room.leaderboard }));
+    res.json({ rooms });
+  });
+
+  router.get('/highscores', (req, res, next) => {
+    const limit = Math.max(1, Math.min(GameConfig.HIGH_SCORE_SIZE, parseInt(req.query.limit, 10) || GameConfig.HIGH_SCORE_SIZE));
+    profiles.getHighScores(limit)
+      .then(highScores => res.json({ highScores }))
+      .catch(next);
+  });
+
+  router.get('/profiles/:profileId', (req, res, next) => {
+    profiles.getProfile(req.params.profileId)
+      .then((profile) => {
+        if (!profile) {
+          res.status(404).json({ error: 'profileNotFound' });
+          return;
+        }
+        res.json({ profile });
+      })
+      .catch(next);
+  });
+
+  // Recordings that can be watched with 'watchReplay', newest first
+  router.get('/replays', (req, res, next) => {
+    listReplays(replayDir)
+      .then(replays => res.json({ replays }))
+      .catch(next);
+  });
+
+  router.get('/players', (req, res) => {
+    const players = [];
+    roomManager.rooms.forEach((room) => {
+      room.getPlayerList().forEach(player => players.push({ roomId: room.id, ...player }));
+    });
+    res.json({ players });
+  });
+
+  router.get('/stats', (req, res) => {
+    const memory = process.memoryUsage();
+    res.json({
+      clients: clients.size,
+      rooms: Array.from(roomManager.rooms.values()).map(room => room.getStats()),
+      memory: {
+        rss: memory.rss,
+        heapUsed: memory.heapUsed
+      }
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createStatusRouter };
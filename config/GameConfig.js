@@ -1,7 +1,102 @@
 const GameConfig = {
   // Server
   SERVER_TICK_RATE: 60,
+  SNAPSHOT_RATE: 20,
   INTERPOLATION_DELAY: 100,
+  PING_INTERVAL: 2000,
+  HISTORY_DURATION: 1000,
+  MAX_REWIND_TIME: 500,
+  // Verbose per-message logging
+  DEBUG: false,
+
+  // Protocol limits; clients that keep breaking them are disconnected
+  MAX_FRAME_SIZE: 16 * 1024,
+  MAX_BATCH_SIZE: 32,
+  RATE_LIMIT_BURST: 200,
+  RATE_LIMIT_PER_SECOND: 100,
+  // Token cost of expensive messages; anything else costs 1
+  MESSAGE_COSTS: {
+    join: 20,
+    respawn: 10,
+    handshake: 10,
+    resync: 10,
+    resume: 20,
+    watchReplay: 20,
+    spectate: 10
+  },
+  // A client may commit VIOLATION_BURST violations in a row; one is forgiven every VIOLATION_FORGIVE_INTERVAL ms
+  VIOLATION_BURST: 20,
+  VIOLATION_FORGIVE_INTERVAL: 5000,
+  PLAYER_NAME_MAX_LENGTH: 16,
+  TEXT_BLOCKLIST: [],
+
+  // Connections
+  HEARTBEAT_INTERVAL: 10000,
+  AFK_TIMEOUT: 120000,
+  // How long a dropped client's player is kept for it to reconnect and resume
+  RECONNECT_GRACE_PERIOD: 30000,
+  // Warning clients get between SIGTERM/SIGINT and the server closing their connection
+  SHUTDOWN_COUNTDOWN: 5000,
+
+  // Chat
+  CHAT_MAX_LENGTH: 200,
+  CHAT_BURST: 5,
+  CHAT_PER_SECOND: 0.5,
+  CHAT_HISTORY_SIZE: 30,
+  CHAT_MUTE_DURATION: 600000,
+
+  // Rooms
+  ROOM_MAX_PLAYERS: 30,
+  MAX_ROOMS: 8,
+  ROOM_IDLE_TIMEOUT: 30000,
+  ROOM_MAINTENANCE_INTERVAL: 10000,
+  // Public rooms with fewer players than this get merged into each other
+  ROOM_MERGE_THRESHOLD: 5,
+  // Spectators do not count against ROOM_MAX_PLAYERS but have their own limit; a free camera is at most
+  // SPECTATOR_MAX_VIEW_SIZE px wide and high
+  MAX_SPECTATORS_PER_ROOM: 50,
+  SPECTATOR_MAX_VIEW_SIZE: 4000,
+
+  // Bots (systems/BotManager.js): public rooms with anyone in them are topped up with bots until humans
+  // and bots make BOT_TARGET_POPULATION players (0 disables bots); one bot joins or leaves per
+  // BOT_POPULATION_INTERVAL. Bots reconsider their keys every BOT_THINK_INTERVAL ms and see BOT_SENSE_RANGE px.
+  BOT_TARGET_POPULATION: 8,
+  BOT_POPULATION_INTERVAL: 1000,
+  BOT_THINK_INTERVAL: 100,
+  BOT_SENSE_RANGE: 400,
+  BOT_NAMES: ['Ember', 'Tide', 'Pebble', 'Zephyr', 'Umbra', 'Lumen', 'Nyx', 'Cinder', 'Brook', 'Gale', 'Flint', 'Shade'],
+
+  // Team mode: players are dealt into the first TEAM_COUNT elements of ESSENCE_TYPES. Teammates cannot eat
+  // each other, a pickup scores its power for the team (TEAM_ELEMENT_BONUS times over in the team's element),
+  // and after TEAM_MATCH_DURATION the best team wins and the world starts over. Team scores are broadcast
+  // every TEAM_SCORE_INTERVAL when they changed.
+  TEAM_MODE: false,
+  TEAM_COUNT: 4,
+  TEAM_ELEMENT_BONUS: 2,
+  TEAM_MATCH_DURATION: 300000,
+  TEAM_SCORE_INTERVAL: 1000,
+  TEAM_COLORS: {
+    fire: '#e4572e',
+    water: '#2e86de',
+    earth: '#8d6e3f',
+    air: '#a0e7e5',
+    void: '#5b2a86',
+    light: '#f6d743',
+    dark: '#2d2d3a'
+  },
+
+  // Leaderboard and statistics
+  LEADERBOARD_SIZE: 10,
+  LEADERBOARD_INTERVAL: 1000,
+  // Finished lives kept per room for the HTTP API
+  STATS_HISTORY_SIZE: 50,
+  // Entries in the all-time high score table
+  HIGH_SCORE_SIZE: 100,
+  // Match recordings (REPLAY_DIR): whether every room is recorded from the start, how often a full keyframe
+  // is written so playback can seek, and how long one recording runs before the next file is started
+  RECORD_MATCHES: false,
+  REPLAY_KEYFRAME_INTERVAL: 10000,
+  REPLAY_MAX_DURATION: 600000,
 
   // World
   WORLD_SIZE: {
@@ -16,8 +111,17 @@ const GameConfig = {
   PLAYER_FRICTION: 0.08,
   PLAYER_MAX_HEALTH: 100,
   PLAYER_MAX_MANA: 100,
-  ESSENCE_RADIUS_MULTIPLIER: 0.3,
+  PLAYER_MANA_REGEN: 5,
+  MANA_PER_POWER: 0.25,
+  ESSENCE_RADIUS_MULTIPLIER: 0.1,
+  SIZE_PENALTY_POWER: 400,
   POSITION_UPDATE_THRESHOLD: 5,
+  PLAYER_CONSUME_RATIO: 1.15,
+  PLAYER_RESPAWN_DELAY: 2000,
+  PLAYER_SPAWN_ATTEMPTS: 10,
+  PLAYER_SPAWN_SAFE_DISTANCE: 150,
+  DEATH_SCATTER_SPEED: 120,
+  MAX_INPUT_QUEUE: 10,
 
   // Essences
   INITIAL_ESSENCE_COUNT: 1000,
@@ -31,21 +135,97 @@ const GameConfig = {
     epic: 6,
     legendary: 8
   },
+  // An essence's power is its rarity power times its level; player size, speed and mana follow total power
+  ESSENCE_RARITY_POWER: {
+    common: 1,
+    uncommon: 3,
+    rare: 8,
+    epic: 20,
+    legendary: 50
+  },
+  // `count` essences of one type and rarity fuse into one essence of `rarity`,
+  // keeping their combined power times FUSION_POWER_BONUS
+  ESSENCE_FUSION_RECIPES: {
+    common: { count: 5, rarity: 'uncommon' },
+    uncommon: { count: 4, rarity: 'rare' },
+    rare: { count: 3, rarity: 'epic' },
+    epic: { count: 3, rarity: 'legendary' },
+    legendary: { count: 3, rarity: 'legendary' }
+  },
+  FUSION_POWER_BONUS: 1.2,
+  ESSENCE_AUTO_FUSE: true,
 
   // NPCs
   INITIAL_NPC_COUNT: 50,
   NPC_RADIUS: 6,
   NPC_HEALTH: 10,
   NPC_SPEED: 80,
+  NPC_SENSE_RANGE: 150,
+  // Spawn `weight` decides how common each archetype is; unset stats fall back to the NPC_* defaults
+  NPC_ARCHETYPES: {
+    skittish: {
+      behavior: 'skittish', weight: 5, speed: 90, senseRange: 160, fleeSpeedFactor: 1.4
+    },
+    hunter: {
+      behavior: 'hunter', weight: 1, radius: 12, health: 25, speed: 70, senseRange: 250, canConsumePlayers: true
+    },
+    herd: {
+      behavior: 'herd', weight: 4, speed: 60, senseRange: 120,
+      flocking: { wander: 0.5, cohesion: 0.6, alignment: 0.8, separation: 1.2 }
+    }
+  },
+  NPC_ESSENCE_DROP: 3,
+  NPC_DROP_SCATTER: 20,
+  NPC_RESPAWN_DELAY: 5000,
+
+  // Combat
+  PLAYER_ATTACK_DAMAGE: 4,
+  PLAYER_ATTACK_RANGE: 30,
+  PLAYER_ATTACK_COOLDOWN: 500,
+
+  // Abilities, unlocked by holding `requiredPower` essence power of their element.
+  // Effects: projectile (hits NPCs), nova (damages NPCs around the caster), dash,
+  // shield (cannot be consumed) and pull (drags essences in).
+  ABILITIES: {
+    fireball: {
+      element: 'fire', effect: 'projectile', requiredPower: 10, manaCost: 20, cooldown: 800,
+      damage: 6, speed: 450, range: 400, radius: 4
+    },
+    tidalWave: {
+      element: 'water', effect: 'nova', requiredPower: 10, manaCost: 30, cooldown: 3000,
+      damage: 3, radius: 90
+    },
+    stoneSkin: {
+      element: 'earth', effect: 'shield', requiredPower: 10, manaCost: 35, cooldown: 8000,
+      duration: 3000
+    },
+    airDash: {
+      element: 'air', effect: 'dash', requiredPower: 10, manaCost: 15, cooldown: 2000,
+      speed: 550, duration: 250
+    },
+    voidPull: {
+      element: 'void', effect: 'pull', requiredPower: 10, manaCost: 25, cooldown: 4000,
+      radius: 300, force: 250
+    },
+    flashStep: {
+      element: 'light', effect: 'dash', requiredPower: 20, manaCost: 25, cooldown: 3000,
+      speed: 800, duration: 150
+    },
+    shadowNova: {
+      element: 'dark', effect: 'nova', requiredPower: 20, manaCost: 40, cooldown: 5000,
+      damage: 6, radius: 120
+    }
+  },
 
   // Visibility
   VISIBILITY_DISTANCE: 1000,
 
   // Essence Types
   ESSENCE_TYPES: ['fire', 'water', 'earth', 'air', 'void', 'light', 'dark'],
+  ESSENCE_RARITIES: ['common', 'uncommon', 'rare', 'epic', 'legendary'],
 
-  getRandomEssenceType() {
-    return this.ESSENCE_TYPES[Math.floor(Math.random() * this.ESSENCE_TYPES.length)];
+  getRandomEssenceType(random = Math.random) {
+    return this.ESSENCE_TYPES[Math.floor(random() * this.ESSENCE_TYPES.length)];
   }
 };
 
@@ -0,0 +1,407 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { GameConfig } = require('./GameConfig');
+const { MAX_WIRE_VELOCITY } = require('../utils/BinaryProtocol');
+
+// Environment variables documented in .env.example, mapped to GameConfig paths.
+// Any other GameConfig key can be set as GAME_<KEY>, e.g. GAME_PLAYER_MAX_VELOCITY=300.
+const ENV_ALIASES = {
+  GAME_TICK_RATE: 'SERVER_TICK_RATE',
+  WORLD_WIDTH: 'WORLD_SIZE.width',
+  WORLD_HEIGHT: 'WORLD_SIZE.height',
+  DEBUG: 'DEBUG'
+};
+
+// Inclusive bounds for numeric values; keys not listed only have to be finite numbers
+const RANGES = {
+  SERVER_TICK_RATE: [1, 240],
+  SNAPSHOT_RATE: [1, 60],
+  'WORLD_SIZE.width': [100, 16000],
+  'WORLD_SIZE.height': [100, 16000],
+  VISIBILITY_DISTANCE: [50, 16000],
+  ROOM_MAX_PLAYERS: [1, 500],
+  MAX_ROOMS: [1, 100],
+  MAX_SPECTATORS_PER_ROOM: [0, 10000],
+  SPECTATOR_MAX_VIEW_SIZE: [100, 16000],
+  BOT_TARGET_POPULATION: [0, 500],
+  BOT_POPULATION_INTERVAL: [100, 600000],
+  BOT_THINK_INTERVAL: [10, 10000],
+  TEAM_COUNT: [2, 16],
+  TEAM_ELEMENT_BONUS: [1, 100],
+  TEAM_MATCH_DURATION: [10000, 24 * 60 * 60 * 1000],
+  TEAM_SCORE_INTERVAL: [100, 600000],
+  INITIAL_ESSENCE_COUNT: [0, 20000],
+  MIN_ESSENCE_COUNT: [0, 20000],
+  INITIAL_NPC_COUNT: [0, 5000],
+  PLAYER_FRICTION: [0, 1],
+  // speeds must fit the binary protocol's velocity field
+  PLAYER_MAX_VELOCITY: [0, MAX_WIRE_VELOCITY],
+  NPC_SPEED: [0, MAX_WIRE_VELOCITY],
+  PLAYER_CONSUME_RATIO: [1, 10],
+  FUSION_POWER_BONUS: [0, 10],
+  MAX_INPUT_QUEUE: [1, 600],
+  MAX_FRAME_SIZE: [256, 1024 * 1024],
+  MAX_BATCH_SIZE: [1, 1000],
+  RATE_LIMIT_BURST: [1, 10000],
+  RATE_LIMIT_PER_SECOND: [1, 10000],
+  VIOLATION_BURST: [1, 10000],
+  PLAYER_NAME_MAX_LENGTH: [1, 64],
+  REPLAY_KEYFRAME_INTERVAL: [1000, 600000],
+  REPLAY_MAX_DURATION: [10000, 24 * 60 * 60 * 1000]
+};
+
+// Read once, when the server, a room, a world or a connection starts; changing them on a running server
+// would leave it half on the old value. Binary clients get entries of the type, rarity and archetype tables
+// by position in handshakeAck only, so those stay as they are too.
+const RESTART_ONLY = [
+  'SERVER_TICK_RATE',
+  'WORLD_SIZE',
+  'ESSENCE_TYPES',
+  'ESSENCE_RARITIES',
+  'NPC_ARCHETYPES',
+  'HISTORY_DURATION',
+  'PING_INTERVAL',
+  'HEARTBEAT_INTERVAL',
+  'ROOM_MAINTENANCE_INTERVAL',
+  'MAX_FRAME_SIZE',
+  'RATE_LIMIT_BURST',
+  'RATE_LIMIT_PER_SECOND',
+  'VIOLATION_BURST',
+  'VIOLATION_FORGIVE_INTERVAL',
+  'CHAT_BURST',
+  'CHAT_PER_SECOND'
+];
+
+// Keys that would reach Object.prototype when merged
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Shapes of entries added to data tables, and of fields added to their existing entries. A shape is a
+// type name or { required, fields }; numbers must be finite and not negative, and fields not listed are refused.
+const ENTRY_SCHEMAS = {
+  MESSAGE_COSTS: 'number',
+  TEAM_COLORS: 'string',
+  ESSENCE_RADIUS: 'number',
+  ESSENCE_RARITY_POWER: 'number',
+  ESSENCE_FUSION_RECIPES: {
+    required: ['count', 'rarity'],
+    fields: { count: 'number', rarity: 'string' }
+  },
+  NPC_ARCHETYPES: {
+    required: ['behavior'],
+    fields: {
+      behavior: 'string',
+      weight: 'number',
+      radius: 'number',
+      health: 'number',
+      speed: 'number',
+      senseRange: 'number',
+      fleeSpeedFactor: 'number',
+      canConsumePlayers: 'boolean',
+      flocking: {
+        required: [],
+        fields: { wander: 'number', cohesion: 'number', alignment: 'number', separation: 'number' }
+      }
+    }
+  },
+  ABILITIES: {
+    required: ['element', 'effect', 'requiredPower', 'manaCost', 'cooldown'],
+    fields: {
+      element: 'string',
+      effect: 'string',
+      requiredPower: 'number',
+      manaCost: 'number',
+      cooldown: 'number',
+      damage: 'number',
+      speed: 'number',
+      range: 'number',
+      radius: 'number',
+      duration: 'number',
+      force: 'number'
+    }
+  }
+};
+
+// Fields each ability effect reads (systems/AbilitySystem.js)
+const ABILITY_EFFECT_FIELDS = {
+  projectile: ['damage', 'speed', 'range', 'radius'],
+  nova: ['damage', 'radius'],
+  dash: ['speed', 'duration'],
+  shield: ['duration'],
+  pull: ['radius', 'force']
+};
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid game config:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasOwn(target, key) {
+  return Object.prototype.hasOwnProperty.call(target, key);
+}
+
+// Path of the first forbidden key anywhere inside value, or null
+function findForbiddenKey(value, keyPath) {
+  if (value === null || typeof value !== 'object') return null;
+  for (const key of Object.keys(value)) {
+    const childPath = `${keyPath}.${key}`;
+    if (FORBIDDEN_KEYS.includes(key)) return childPath;
+    const found = findForbiddenKey(value[key], childPath);
+    if (found) return found;
+  }
+  return null;
+}
+
+function getPath(target, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), target);
+}
+
+function setPath(target, keyPath, value) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+}
+
+function deepMerge(target, source) {
+  Object.keys(source).forEach((key) => {
+    if (FORBIDDEN_KEYS.includes(key)) return;
+    if (isPlainObject(source[key]) && hasOwn(target, key) && isPlainObject(target[key])) {
+      deepMerge(target[key], source[key]);
+    } else {
+      target[key] = source[key];
+    }
+  });
+  return target;
+}
+
+// Plain data copy of GameConfig, without its helper functions
+function snapshotConfig(config = GameConfig) {
+  return JSON.parse(JSON.stringify(config));
+}
+
+function readModeFile(filePath) {
+  const resolved = path.resolve(filePath);
+  const contents = fs.readFileSync(resolved, 'utf8');
+  const parsed = /\.ya?ml$/i.test(resolved) ? YAML.parse(contents) : JSON.parse(contents);
+  if (!isPlainObject(parsed)) {
+    throw new ConfigError([`${filePath}: expected an object of GameConfig keys`]);
+  }
+  return parsed;
+}
+
+// Env strings take the type of the default they replace
+function parseEnvValue(raw, current) {
+  if (typeof current === 'number') return raw.trim() === '' ? NaN : Number(raw);
+  if (typeof current === 'boolean') {
+    if (/^(true|1|yes|on)$/i.test(raw)) return true;
+    if (/^(false|0|no|off)$/i.test(raw)) return false;
+    return raw;
+  }
+  if (typeof current === 'object') {
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      return raw;
+    }
+  }
+  return raw;
+}
+
+function readEnvOverrides(env, defaults) {
+  const overrides = {};
+  Object.keys(env).forEach((name) => {
+    let keyPath = ENV_ALIASES[name];
+    if (!keyPath && name.startsWith('GAME_')) {
+      const key = name.slice(5);
+      if (Object.prototype.hasOwnProperty.call(defaults, key)) keyPath = key;
+    }
+    if (!keyPath) return;
+
+    setPath(overrides, keyPath, parseEnvValue(env[name], getPath(defaults, keyPath)));
+  });
+  return overrides;
+}
+
+// Shape for a value inside a data table (`TABLE.entry`, `TABLE.entry.field`, ...), or null outside them
+function getEntrySchema(keyPath) {
+  const [table, , ...fields] = keyPath.split('.');
+  if (!hasOwn(ENTRY_SCHEMAS, table)) return null;
+  return fields.reduce(
+    (schema, field) => (schema && typeof schema === 'object' && hasOwn(schema.fields, field) ? schema.fields[field] : null),
+    ENTRY_SCHEMAS[table]
+  );
+}
+
+function validateEntry(value, schema, keyPath) {
+  if (typeof schema === 'string') {
+    if (typeof value !== schema) return [`${keyPath}: expected a ${schema}, got ${JSON.stringify(value)}`];
+    if (schema === 'number' && !(Number.isFinite(value) && value >= 0)) {
+      return [`${keyPath}: expected a finite number of at least 0`];
+    }
+    return [];
+  }
+  if (!isPlainObject(value)) return [`${keyPath}: expected an object`];
+
+  const errors = schema.required
+    .filter(field => !hasOwn(value, field))
+    .map(field => `${keyPath}.${field}: missing`);
+  Object.keys(value).forEach((field) => {
+    if (!hasOwn(schema.fields, field)) {
+      errors.push(`${keyPath}.${field}: unknown field`);
+      return;
+    }
+    errors.push(...validateEntry(value[field], schema.fields[field], `${keyPath}.${field}`));
+  });
+  return errors;
+}
+
+// Checks candidate values against the type of the defaults, RANGES and ENTRY_SCHEMAS; returns a list of problems
+function validateConfig(candidate, defaults = GameConfig, prefix = '') {
+  const errors = [];
+
+  Object.keys(candidate).forEach((key) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const value = candidate[key];
+    const current = hasOwn(defaults, key) ? defaults[key] : undefined;
+
+    if (FORBIDDEN_KEYS.includes(key)) {
+      errors.push(`${keyPath}: not allowed`);
+      return;
+    }
+    if (current === undefined) {
+      // New entries are allowed inside data tables (abilities, archetypes, ...) but not at the top level
+      const schema = prefix ? getEntrySchema(keyPath) : null;
+      if (!schema) {
+        errors.push(`${keyPath}: unknown setting`);
+        return;
+      }
+      const forbidden = findForbiddenKey(value, keyPath);
+      errors.push(...(forbidden ? [`${forbidden}: not allowed`] : validateEntry(value, schema, keyPath)));
+      return;
+    }
+    if (typeof current === 'function') {
+      errors.push(`${keyPath}: cannot be overridden`);
+      return;
+    }
+    if (Array.isArray(current)) {
+      if (!Array.isArray(value)) {
+        errors.push(`${keyPath}: expected an array`);
+      } else if (current.length > 0 && value.some(item => typeof item !== typeof current[0])) {
+        errors.push(`${keyPath}: expected an array of ${typeof current[0]}s`);
+      }
+      return;
+    }
+    if (isPlainObject(current)) {
+      if (!isPlainObject(value)) {
+        errors.push(`${keyPath}: expected an object`);
+        return;
+      }
+      errors.push(...validateConfig(value, current, keyPath));
+      return;
+    }
+    if (typeof value !== typeof current) {
+      errors.push(`${keyPath}: expected a ${typeof current}, got ${JSON.stringify(value)}`);
+      return;
+    }
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) {
+        errors.push(`${keyPath}: expected a finite number`);
+        return;
+      }
+      const range = RANGES[keyPath];
+      if (range && (value < range[0] || value > range[1])) {
+        errors.push(`${keyPath}: ${value} is outside ${range[0]}..${range[1]}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+// Rules that involve more than one setting, checked on the merged result
+function validateRelations(config) {
+  const errors = [];
+  if (config.SNAPSHOT_RATE > config.SERVER_TICK_RATE) {
+    errors.push(`SNAPSHOT_RATE (${config.SNAPSHOT_RATE}) cannot exceed SERVER_TICK_RATE (${config.SERVER_TICK_RATE})`);
+  }
+  if (config.MIN_ESSENCE_COUNT > config.INITIAL_ESSENCE_COUNT) {
+    errors.push(`MIN_ESSENCE_COUNT (${config.MIN_ESSENCE_COUNT}) cannot exceed INITIAL_ESSENCE_COUNT (${config.INITIAL_ESSENCE_COUNT})`);
+  }
+  Object.keys(config.ABILITIES).forEach((name) => {
+    const ability = config.ABILITIES[name];
+    if (!hasOwn(ABILITY_EFFECT_FIELDS, ability.effect)) {
+      errors.push(`ABILITIES.${name}.effect: unknown effect ${JSON.stringify(ability.effect)}`);
+      return;
+    }
+    ABILITY_EFFECT_FIELDS[ability.effect]
+      .filter(field => typeof ability[field] !== 'number')
+      .forEach(field => errors.push(`ABILITIES.${name}.${field}: needed by the ${ability.effect} effect`));
+    if (ability.effect === 'dash' && ability.speed > MAX_WIRE_VELOCITY) {
+      errors.push(`ABILITIES.${name}.speed (${ability.speed}) cannot exceed ${MAX_WIRE_VELOCITY}, the fastest binary snapshots can carry`);
+    }
+  });
+  Object.keys(config.ESSENCE_FUSION_RECIPES).forEach((rarity) => {
+    const recipe = config.ESSENCE_FUSION_RECIPES[rarity];
+    if (!hasOwn(config.ESSENCE_RARITY_POWER, recipe.rarity)) {
+      errors.push(`ESSENCE_FUSION_RECIPES.${rarity}.rarity: no ESSENCE_RARITY_POWER for ${JSON.stringify(recipe.rarity)}`);
+    }
+  });
+  if (config.TEAM_COUNT > config.ESSENCE_TYPES.length) {
+    errors.push(`TEAM_COUNT (${config.TEAM_COUNT}) cannot exceed the number of ESSENCE_TYPES (${config.ESSENCE_TYPES.length})`);
+  }
+  return errors;
+}
+
+// Validates a set of changes against the current config and applies them all, or none.
+// `live` changes go to a running server and may not touch RESTART_ONLY settings.
+function applyConfig(changes, { live = false } = {}) {
+  const errors = validateConfig(changes);
+  if (live) {
+    Object.keys(changes)
+      .filter(key => RESTART_ONLY.includes(key))
+      .forEach(key => errors.push(`${key}: only takes effect after a restart`));
+  }
+  if (errors.length === 0) {
+    errors.push(...validateRelations(deepMerge(snapshotConfig(), snapshotConfig(changes))));
+  }
+  if (errors.length > 0) throw new ConfigError(errors);
+
+  deepMerge(GameConfig, snapshotConfig(changes));
+  return GameConfig;
+}
+
+// Defaults <- game-mode file (GAME_MODE_FILE, JSON or YAML) <- environment variables.
+// GameConfig is updated in place so every module that already required it sees the result.
+function loadConfig({ env = process.env, modeFile = env.GAME_MODE_FILE } = {}) {
+  const defaults = snapshotConfig();
+  const fileOverrides = modeFile ? readModeFile(modeFile) : {};
+  const envOverrides = readEnvOverrides(env, defaults);
+
+  const errors = [
+    ...validateConfig(fileOverrides).map(error => `${modeFile}: ${error}`),
+    ...validateConfig(envOverrides).map(error => `env: ${error}`)
+  ];
+  if (errors.length > 0) throw new ConfigError(errors);
+
+  applyConfig(deepMerge(snapshotConfig(fileOverrides), envOverrides));
+  return GameConfig;
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  applyConfig,
+  validateConfig,
+  snapshotConfig
+};
@@ -1,19 +1,20 @@
 const { GameConfig } = require('../config/GameConfig');
 
 class Essence {
-  constructor(id, x, y, type) {
+  constructor(id, x, y, type, rarity = null, level = 1, now = Date.now()) {
     this.id = id;
     this.position = { x, y };
     this.velocity = { x: 0, y: 0 };
     this.type = type;
-    this.rarity = this.getRandomRarity();
-    this.level = 1;
+    this.rarity = rarity || Essence.getRandomRarity();
+    this.level = level;
     this.radius = GameConfig.ESSENCE_RADIUS[this.rarity] || 3;
-    this.creationTime = Date.now();
+    this.creationTime = now;
+    this.lastSignificantPosition = { ...this.position };
   }
 
-  getRandomRarity() {
-    const rand = Math.random();
+  static getRandomRarity(random = Math.random) {
+    const rand = random();
     if (rand < 0.50) return 'common';
     if (rand < 0.80) return 'uncommon';
     if (rand < 0.95) return 'rare';
@@ -21,6 +22,10 @@ class Essence {
     return 'legendary';
   }
 
+  getPower() {
+    return (GameConfig.ESSENCE_RARITY_POWER[this.rarity] || 1) * this.level;
+  }
+
   update(deltaTime) {
     this.position.x += this.velocity.x * deltaTime;
     this.position.y += this.velocity.y * deltaTime;
@@ -33,6 +38,16 @@ class Essence {
     this.position.y = Math.max(0, Math.min(worldSize.height, this.position.y));
   }
 
+  // Essences drift when attracted, pulled or scattered; see Player.hasMovedSignificantly
+  hasMovedSignificantly() {
+    const distance = Math.hypot(this.position.x - this.lastSignificantPosition.x, this.position.y - this.lastSignificantPosition.y);
+    if (distance > GameConfig.POSITION_UPDATE_THRESHOLD) {
+      this.lastSignificantPosition = { ...this.position };
+      return true;
+    }
+    return false;
+  }
+
   getBounds() {
     return {
       x: this.position.x - this.radius,
@@ -42,6 +57,26 @@ class Essence {
     };
   }
 
+  // Saved state, see GameWorld.serialize
+  serialize() {
+    return {
+      id: this.id,
+      position: this.position,
+      velocity: this.velocity,
+      type: this.type,
+      rarity: this.rarity,
+      level: this.level,
+      creationTime: this.creationTime
+    };
+  }
+
+  static fromState(state) {
+    const essence = new Essence(state.id, state.position.x, state.position.y, state.type, state.rarity, state.level);
+    essence.velocity = { ...state.velocity };
+    essence.creationTime = state.creationTime;
+    return essence;
+  }
+
   getPublicData() {
     return {
       id: this.id,
@@ -1,31 +1,48 @@
 const { GameConfig } = require('../config/GameConfig');
+const { getBehavior } = require('../systems/NPCBehaviors');
 
 class NPC {
-  constructor(id, x, y) {
+  constructor(id, x, y, type = NPC.getRandomType(), random = Math.random) {
     this.id = id;
+    this.type = type;
+    this.archetype = GameConfig.NPC_ARCHETYPES[type] || {};
+    this.behavior = getBehavior(this.archetype.behavior);
+
     this.position = { x, y };
     this.velocity = { x: 0, y: 0 };
     this.rotation = 0;
-    this.radius = GameConfig.NPC_RADIUS;
-    this.health = GameConfig.NPC_HEALTH;
-    this.maxHealth = GameConfig.NPC_HEALTH;
-    this.speed = GameConfig.NPC_SPEED;
+    this.radius = this.archetype.radius || GameConfig.NPC_RADIUS;
+    this.health = this.archetype.health || GameConfig.NPC_HEALTH;
+    this.maxHealth = this.health;
+    this.speed = this.archetype.speed || GameConfig.NPC_SPEED;
+    this.senseRange = this.archetype.senseRange || GameConfig.NPC_SENSE_RANGE;
     
     this.aiTimer = 0;
-    this.aiUpdateInterval = 1 + Math.random() * 2;
+    this.aiUpdateInterval = 1 + random() * 2;
     this.targetVelocity = { x: 0, y: 0 };
+
+    this.lastSignificantPosition = { ...this.position };
   }
 
-  update(deltaTime) {
-    this.aiTimer += deltaTime;
+  static getRandomType(random = Math.random) {
+    const types = Object.keys(GameConfig.NPC_ARCHETYPES);
+    const totalWeight = types.reduce((sum, type) => sum + (GameConfig.NPC_ARCHETYPES[type].weight || 1), 0);
 
-    if (this.aiTimer >= this.aiUpdateInterval) {
-      this.aiTimer = 0;
-      const angle = Math.random() * Math.PI * 2;
-      this.targetVelocity.x = Math.cos(angle) * this.speed;
-      this.targetVelocity.y = Math.sin(angle) * this.speed;
-      this.aiUpdateInterval = 1 + Math.random() * 2;
+    let roll = random() * totalWeight;
+    for (const type of types) {
+      roll -= GameConfig.NPC_ARCHETYPES[type].weight || 1;
+      if (roll < 0) return type;
     }
+    return types[types.length - 1];
+  }
+
+  canConsume(player) {
+    return Boolean(this.archetype.canConsumePlayers) &&
+      this.radius >= player.radius * GameConfig.PLAYER_CONSUME_RATIO;
+  }
+
+  update(deltaTime, world = null) {
+    this.behavior.update(this, deltaTime, world);
 
     this.velocity.x += (this.targetVelocity.x - this.velocity.x) * 0.1;
     this.velocity.y += (this.targetVelocity.y - this.velocity.y) * 0.1;
@@ -33,11 +50,16 @@ class NPC {
     this.position.x += this.velocity.x * deltaTime;
     this.position.y += this.velocity.y * deltaTime;
 
+    // Same clamp as players; turn back inwards instead of pushing into the edge
     const worldSize = GameConfig.WORLD_SIZE;
-    if (this.position.x < -this.radius) this.position.x = worldSize.width + this.radius;
-    if (this.position.x > worldSize.width + this.radius) this.position.x = -this.radius;
-    if (this.position.y < -this.radius) this.position.y = worldSize.height + this.radius;
-    if (this.position.y > worldSize.height + this.radius) this.position.y = -this.radius;
+    if (this.position.x <= this.radius || this.position.x >= worldSize.width - this.radius) {
+      this.position.x = Math.max(this.radius, Math.min(worldSize.width - this.radius, this.position.x));
+      this.targetVelocity.x = Math.sign(worldSize.width / 2 - this.position.x) * Math.abs(this.targetVelocity.x);
+    }
+    if (this.position.y <= this.radius || this.position.y >= worldSize.height - this.radius) {
+      this.position.y = Math.max(this.radius, Math.min(worldSize.height - this.radius, this.position.y));
+      this.targetVelocity.y = Math.sign(worldSize.height / 2 - this.position.y) * Math.abs(this.targetVelocity.y);
+    }
 
     const magnitude = Math.hypot(this.velocity.x, this.velocity.y);
     if (magnitude > 0.1) {
@@ -45,6 +67,40 @@ class NPC {
     }
   }
 
+  serialize() {
+    return {
+      id: this.id,
+      type: this.type,
+      position: this.position,
+      velocity: this.velocity,
+      targetVelocity: this.targetVelocity,
+      rotation: this.rotation,
+      health: this.health
+    };
+  }
+
+  static fromState(state, random = Math.random) {
+    const npc = new NPC(state.id, state.position.x, state.position.y, state.type, random);
+    npc.velocity = { ...state.velocity };
+    npc.targetVelocity = { ...state.targetVelocity };
+    npc.rotation = state.rotation;
+    npc.health = Math.min(state.health, npc.maxHealth);
+    return npc;
+  }
+
+  hasMovedSignificantly() {
+    const dx = this.position.x - this.lastSignificantPosition.x;
+    const dy = this.position.y - this.lastSignificantPosition.y;
+    const distance = Math.hypot(dx, dy);
+
+    if (distance > GameConfig.POSITION_UPDATE_THRESHOLD) {
+      this.lastSignificantPosition = { ...this.position };
+      return true;
+    }
+
+    return false;
+  }
+
   takeDamage(amount) {
     this.health -= amount;
     return this.health <= 0;
@@ -62,6 +118,7 @@ class NPC {
   getPublicData() {
     return {
       id: this.id,
+      type: this.type,
       position: this.position,
       rotation: this.rotation,
       radius: this.radius,
@@ -1,10 +1,15 @@
 const { GameConfig } = require('../config/GameConfig');
+const { Essence } = require('./Essence');
 
 class Player {
-  constructor(id, name, clientId, x, y) {
+  constructor(id, name, clientId, x, y, now = Date.now()) {
     this.id = id;
     this.name = name;
     this.clientId = clientId;
+    // Server-side bot (systems/BotManager.js) rather than a connected client
+    this.isBot = false;
+    // Element faction in team mode, null otherwise
+    this.team = null;
 
     this.position = { x, y };
     this.velocity = { x: 0, y: 0 };
@@ -16,8 +21,27 @@ class Player {
     this.baseRadius = GameConfig.PLAYER_BASE_RADIUS;
     this.radius = this.baseRadius;
     this.essences = [];
+    this.power = 0;
+    this.inventoryVersion = 0;
     this.health = GameConfig.PLAYER_MAX_HEALTH;
-    this.mana = GameConfig.PLAYER_MAX_MANA;
+    this.maxMana = GameConfig.PLAYER_MAX_MANA;
+    this.mana = this.maxMana;
+    this.lastAttackTime = 0;
+    this.abilityCooldowns = {};
+    this.shieldedUntil = 0;
+    this.dashUntil = 0;
+
+    // Statistics for this life, reported when it ends
+    this.spawnedAt = now;
+    this.stats = {
+      essencesCollected: 0,
+      collectedByRarity: {},
+      collectedByType: {},
+      npcsKilled: 0,
+      playersEaten: 0,
+      peakPower: 0,
+      peakRadius: this.radius
+    };
 
     this.inputState = {
       up: false,
@@ -25,12 +49,19 @@ class Player {
       left: false,
       right: false
     };
+    this.inputKeys = [];
+    this.inputQueue = [];
+    this.lastQueuedInput = -1;
+    this.lastProcessedInput = 0;
+    // inputs pushed out of a full queue since the anti-cheat last looked
+    this.droppedInputs = 0;
+    this.rtt = 0;
 
     this.lastSignificantPosition = { ...this.position };
-    this.lastPositionUpdateTime = Date.now();
+    this.lastPositionUpdateTime = now;
   }
 
-  updateVelocity(keys) {
+  updateVelocity(keys, now = Date.now()) {
     let accelX = 0;
     let accelY = 0;
 
@@ -52,7 +83,7 @@ class Player {
     this.velocity.y *= (1 - this.friction);
 
     const velocityMagnitude = Math.hypot(this.velocity.x, this.velocity.y);
-    if (velocityMagnitude > this.maxVelocity) {
+    if (velocityMagnitude > this.maxVelocity && !this.isDashing(now)) {
       this.velocity.x = (this.velocity.x / velocityMagnitude) * this.maxVelocity;
       this.velocity.y = (this.velocity.y / velocityMagnitude) * this.maxVelocity;
     }
@@ -62,6 +93,29 @@ class Player {
     }
   }
 
+  queueInput(seq, keys) {
+    if (seq <= this.lastQueuedInput) return false;
+
+    this.lastQueuedInput = seq;
+    this.inputQueue.push({ seq, keys });
+    // A client that floods or bursts after a stall loses its oldest inputs
+    if (this.inputQueue.length > GameConfig.MAX_INPUT_QUEUE) {
+      this.inputQueue.shift();
+      this.droppedInputs++;
+    }
+    return true;
+  }
+
+  processNextInput(now = Date.now()) {
+    const input = this.inputQueue.shift();
+    if (input) {
+      this.inputKeys = input.keys;
+      this.lastProcessedInput = input.seq;
+    }
+
+    this.updateVelocity(this.inputKeys, now);
+  }
+
   update(deltaTime) {
     this.position.x += this.velocity.x * deltaTime;
     this.position.y += this.velocity.y * deltaTime;
@@ -70,14 +124,90 @@ class Player {
     this.position.x = Math.max(this.radius, Math.min(worldSize.width - this.radius, this.position.x));
     this.position.y = Math.max(this.radius, Math.min(worldSize.height - this.radius, this.position.y));
 
-    this.radius = this.baseRadius + (this.essences.length * GameConfig.ESSENCE_RADIUS_MULTIPLIER);
+    this.radius = this.baseRadius + (this.power * GameConfig.ESSENCE_RADIUS_MULTIPLIER);
+    this.stats.peakRadius = Math.max(this.stats.peakRadius, this.radius);
 
-    const sizePenalty = Math.pow(this.essences.length / 100, 0.3);
+    const sizePenalty = Math.min(1, Math.pow(this.power / GameConfig.SIZE_PENALTY_POWER, 0.3));
     this.maxVelocity = GameConfig.PLAYER_MAX_VELOCITY * (1 - sizePenalty * 0.5);
+
+    this.mana = Math.min(this.maxMana, this.mana + GameConfig.PLAYER_MANA_REGEN * deltaTime);
+  }
+
+  // Essence power held per element
+  getEssenceComposition() {
+    const composition = {};
+    this.essences.forEach((essence) => {
+      composition[essence.type] = (composition[essence.type] || 0) + essence.getPower();
+    });
+    return composition;
+  }
+
+  getInventory() {
+    const groups = new Map();
+    this.essences.forEach((essence) => {
+      const key = `${essence.type}:${essence.rarity}:${essence.level}`;
+      const group = groups.get(key) || { type: essence.type, rarity: essence.rarity, level: essence.level, count: 0 };
+      group.count++;
+      groups.set(key, group);
+    });
+
+    return {
+      essenceCount: this.essences.length,
+      power: this.power,
+      maxMana: this.maxMana,
+      composition: this.getEssenceComposition(),
+      essences: Array.from(groups.values())
+    };
+  }
+
+  isShielded(now = Date.now()) {
+    return now < this.shieldedUntil;
+  }
+
+  isDashing(now = Date.now()) {
+    return now < this.dashUntil;
+  }
+
+  // Essences picked up from the world (fusion results are not collections)
+  recordCollection(essence) {
+    this.stats.essencesCollected++;
+    this.stats.collectedByRarity[essence.rarity] = (this.stats.collectedByRarity[essence.rarity] || 0) + 1;
+    this.stats.collectedByType[essence.type] = (this.stats.collectedByType[essence.type] || 0) + 1;
+  }
+
+  getStats(now = Date.now()) {
+    return {
+      ...this.stats,
+      collectedByRarity: { ...this.stats.collectedByRarity },
+      collectedByType: { ...this.stats.collectedByType },
+      peakRadius: Math.round(this.stats.peakRadius * 10) / 10,
+      power: this.power,
+      essenceCount: this.essences.length,
+      timeAlive: now - this.spawnedAt
+    };
   }
 
   addEssence(essence) {
     this.essences.push(essence);
+    this.recalculateStats();
+  }
+
+  removeEssences(removed) {
+    const removedSet = new Set(removed);
+    this.essences = this.essences.filter(essence => !removedSet.has(essence));
+    this.recalculateStats();
+  }
+
+  recalculateStats() {
+    this.power = this.essences.reduce((sum, essence) => sum + essence.getPower(), 0);
+    this.stats.peakPower = Math.max(this.stats.peakPower, this.power);
+    this.maxMana = GameConfig.PLAYER_MAX_MANA + this.power * GameConfig.MANA_PER_POWER;
+    this.mana = Math.min(this.mana, this.maxMana);
+    this.inventoryVersion++;
+  }
+
+  canAttack(now) {
+    return now - this.lastAttackTime >= GameConfig.PLAYER_ATTACK_COOLDOWN;
   }
 
   hasMovedSignificantly() {
@@ -102,7 +232,54 @@ class Player {
     };
   }
 
-  getPublicData() {
+  // Everything needed to bring the player back after a server restart; timestamps are wall-clock
+  serialize() {
+    return {
+      id: this.id,
+      name: this.name,
+      clientId: this.clientId,
+      position: this.position,
+      velocity: this.velocity,
+      rotation: this.rotation,
+      essences: this.essences.map(essence => essence.serialize()),
+      health: this.health,
+      mana: this.mana,
+      lastAttackTime: this.lastAttackTime,
+      abilityCooldowns: this.abilityCooldowns,
+      shieldedUntil: this.shieldedUntil,
+      dashUntil: this.dashUntil,
+      lastQueuedInput: this.lastQueuedInput,
+      lastProcessedInput: this.lastProcessedInput,
+      spawnedAt: this.spawnedAt,
+      isBot: this.isBot,
+      team: this.team,
+      stats: this.stats
+    };
+  }
+
+  static fromState(state, now = Date.now()) {
+    const player = new Player(state.id, state.name, state.clientId, state.position.x, state.position.y, now);
+    player.velocity = { ...state.velocity };
+    player.rotation = state.rotation;
+    player.essences = state.essences.map(essence => Essence.fromState(essence));
+    player.recalculateStats();
+    player.radius = player.baseRadius + player.power * GameConfig.ESSENCE_RADIUS_MULTIPLIER;
+    player.health = state.health;
+    player.mana = Math.min(state.mana, player.maxMana);
+    player.lastAttackTime = state.lastAttackTime;
+    player.abilityCooldowns = { ...state.abilityCooldowns };
+    player.shieldedUntil = state.shieldedUntil;
+    player.dashUntil = state.dashUntil;
+    player.lastQueuedInput = state.lastQueuedInput;
+    player.lastProcessedInput = state.lastProcessedInput;
+    player.spawnedAt = state.spawnedAt;
+    player.isBot = Boolean(state.isBot);
+    player.team = state.team || null;
+    player.stats = { ...player.stats, ...state.stats };
+    return player;
+  }
+
+  getPublicData(now = Date.now()) {
     return {
       id: this.id,
       name: this.name,
@@ -111,7 +288,14 @@ class Player {
       rotation: this.rotation,
       radius: this.radius,
       essenceCount: this.essences.length,
-      health: this.health
+      power: this.power,
+      health: this.health,
+      mana: Math.floor(this.mana),
+      maxMana: this.maxMana,
+      shielded: this.isShielded(now),
+      bot: this.isBot,
+      team: this.team,
+      teamColor: this.team ? GameConfig.TEAM_COLORS[this.team] || null : null
     };
   }
 }
@@ -1,31 +1,102 @@
 /**
  * Minimal robust WebSocket game server for Essence.io
  * - Safe message parsing (handles string, Buffer, ArrayBuffer)
- * - Sends an 'init' packet on connect
- * - Handles 'join', 'input', 'ping' messages
- * - Simple game loop that broadcasts a worldSnapshot periodically
+ * - Sends an 'init' packet on connect; a 'handshake' reply can switch the client to the binary encoding
+ * - 'join' routes to a room (least full public room, or a named room / party code); each room runs its own
+ *   GameWorld on a fixed timestep, see systems/Room.js for the gameplay messages and snapshots it sends
+ * - Pings clients itself and measures RTT from their 'pong'; answers client 'ping' messages
+ * - Every message is schema-checked and rate limited per client; violations are counted (see /admin/violations)
+ *   and a client that keeps committing them is disconnected
+ * - ws-level heartbeats terminate dead sockets; players that send no input for AFK_TIMEOUT are disconnected
+ * - A dropped client keeps its player for RECONNECT_GRACE_PERIOD and can take it back with 'resume' and
+ *   the sessionToken from its 'init'
+ * - Room and proximity chat with a word filter, rate limits, ignore lists and admin mutes (systems/ChatChannel.js)
+ * - Players can bring a profileToken to 'join'; their lifetime stats and the all-time high scores are kept
+ *   in a ProfileStore (storage/, file-backed by default)
+ * - SIGTERM/SIGINT: clients get a 'serverShutdown' countdown, joins are refused, the world and sessions are
+ *   saved (WORLD_STATE_PATH) and sockets are closed with 1012; the next start restores them for 'resume'
+ * - HTTP status API (health, rooms, players, tick timing) and token-protected admin actions, see api/
+ * - GameConfig is loaded from defaults, an optional game-mode file and env vars, see config/loadConfig.js
+ * - 'spectate' watches a room without a player (following a player, the leader or a free camera rectangle);
+ *   spectators do not take player slots and are never kicked as idle
+ * - Rooms can be recorded (RECORD_MATCHES or /admin/record) to REPLAY_DIR; 'watchReplay' plays a recording back
+ *   to the client like a spectated room, 'replayControl' pauses, seeks, changes speed or follows a player
  *
  * NOTE: This is a standalone replacement/skeleton that you can adapt to your existing server.
  *       It deliberately avoids calling `.substring` on raw frames and logs helpful diagnostics.
  */
 
+require('dotenv').config();
+
+// Resolve GameConfig (defaults, GAME_MODE_FILE, env vars) before anything reads it
+const { loadConfig, snapshotConfig } = require('./config/loadConfig');
+try {
+  loadConfig();
+} catch (err) {
+  console.error('[CONFIG]', err.message);
+  process.exit(1);
+}
+
 const http = require('http');
 const WebSocket = require('ws');
+const { createApp } = require('./api/createApp');
+const { RoomManager } = require('./systems/RoomManager');
+const { SessionManager } = require('./systems/SessionManager');
+const { createProfileStore } = require('./storage/createProfileStore');
+const { getProfileId } = require('./storage/ProfileStore');
+const { saveWorldState, takeWorldState } = require('./storage/WorldStateFile');
+const { readReplay, getReplayPath } = require('./storage/ReplayFile');
+const { ReplayPlayer } = require('./systems/ReplayPlayer');
+const { GameConfig } = require('./config/GameConfig');
+const BinaryProtocol = require('./utils/BinaryProtocol');
+const { send, broadcast } = require('./utils/Network');
+const { validateMessage, isKnownMessageType } = require('./utils/MessageValidator');
+const { TokenBucket } = require('./utils/RateLimiter');
 
 const PORT = process.env.PORT || 8080;
-const TICK_RATE = 20; // server updates per second for world snapshots
-const WORLD_SIZE = { width: 4000, height: 4000 };
-const INTERPOLATION_DELAY = 100; // ms, example config sent to client
+const WORLD_STATE_PATH = process.env.WORLD_STATE_PATH || 'data/world-state.json';
+const REPLAY_DIR = process.env.REPLAY_DIR || 'data/replays';
+
+// Live state is in memory; profiles and high scores go to the profile store
+// clientId -> { clientId, ws, roomId, playerId, playerName, snapshotMode, lastSentTick, rtt, diedAt, death, abilities, inventoryVersion,
+//              limiter, strikes, violations, sessionToken, lastActivityAt, disconnectedAt, resumeTimer, kicked, profileId,
+//              replay, replayRequest, spectator }
+const clients = new Map();
+const profiles = createProfileStore();
+const roomManager = new RoomManager({ onViolation: recordViolation, onLifeEnded: saveLife, replayDir: REPLAY_DIR });
+const sessions = new SessionManager({
+  onExpire: (entry) => {
+    console.log('[SERVER] Session expired:', entry.clientId);
+    removeClient(entry);
+  }
+});
 
-// Simple in-memory state (replace with DB or richer game state as needed)
-const clients = new Map();   // clientId -> { ws, player }
-const players = new Map();   // clientId -> playerState
+// Messages that count as a player being at the keyboard
+// WebSocket close reasons may be at most 123 bytes of UTF-8
+const MAX_CLOSE_REASON_BYTES = 123;
+const ACTIVITY_MESSAGES = new Set(['join', 'respawn', 'input', 'attack', 'castAbility', 'fuse']);
+let ready = false;
+let shuttingDown = false;
 
 // Utility: generate a short client id
 function makeClientId() {
   return Math.random().toString(36).slice(2, 10);
 }
 
+// ws is null for sessions restored after a restart, until their client resumes
+function createEntry(clientId, ws) {
+  return {
+    clientId,
+    ws,
+    roomId: null,
+    playerId: null,
+    limiter: new TokenBucket(GameConfig.RATE_LIMIT_BURST, GameConfig.RATE_LIMIT_PER_SECOND),
+    strikes: new TokenBucket(GameConfig.VIOLATION_BURST, 1000 / GameConfig.VIOLATION_FORGIVE_INTERVAL),
+    violations: {},
+    lastActivityAt: Date.now()
+  };
+}
+
 // Safe conversion of raw WebSocket message to string
 function rawToString(rawData) {
   if (typeof rawData === 'string') return rawData;
@@ -47,52 +118,157 @@ function safeJsonParse(rawStr) {
   }
 }
 
-function send(ws, message, priority = 'normal') {
-  if (!ws || ws.readyState !== WebSocket.OPEN) return;
-  const packet = {
-    ...message,
-    timestamp: Date.now(),
-    priority
-  };
-  try {
-    ws.send(JSON.stringify(packet));
-  } catch (err) {
-    console.error('[SERVER] Failed to send packet to client:', err);
+// Closes a client's socket after telling it why; a kicked client cannot resume its session
+function kickClient(clientId, reason) {
+  const entry = clients.get(clientId);
+  if (!entry) return;
+  console.log('[SERVER] Kicking client:', clientId, reason);
+  entry.kicked = true;
+  if (entry.disconnectedAt) {
+    removeClient(entry);
+    return;
   }
+  send(entry.ws, { id: Math.random(), type: 'kicked', data: { reason } }, 'critical');
+  entry.ws.close(4000, truncateCloseReason(reason));
 }
 
-// Broadcast a message to all connected clients
-function broadcast(message, excludeClientId = null) {
-  const serialized = JSON.stringify({
-    ...message,
-    timestamp: Date.now()
-  });
-  clients.forEach((entry, clientId) => {
-    if (clientId === excludeClientId) return;
-    const ws = entry.ws;
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      try {
-        ws.send(serialized);
-      } catch (err) {
-        console.error('[SERVER] Broadcast send error:', err);
+function truncateCloseReason(reason) {
+  const chars = Array.from(reason);
+  while (Buffer.byteLength(chars.join('')) > MAX_CLOSE_REASON_BYTES) chars.pop();
+  return chars.join('');
+}
+
+function removeClient(entry) {
+  clients.delete(entry.clientId);
+  sessions.discard(entry);
+  stopReplay(entry);
+  roomManager.leave(entry);
+}
+
+// Also cancels a replay that is still loading
+function stopReplay(entry) {
+  entry.replayRequest = (entry.replayRequest || 0) + 1;
+  if (!entry.replay) return;
+  entry.replay.stop();
+  entry.replay = null;
+}
+
+// The client leaves its room (and its player) to watch a recording instead
+function watchReplay(entry, replayId) {
+  const filePath = getReplayPath(REPLAY_DIR, replayId);
+  if (!filePath) {
+    send(entry.ws, { id: Math.random(), type: 'replayFailed', data: { replayId, reason: 'replayNotFound' } }, 'critical');
+    return;
+  }
+
+  stopReplay(entry);
+  roomManager.leave(entry);
+  const request = entry.replayRequest;
+  readReplay(filePath)
+    .then((recording) => {
+      // the client may have left, joined a room or picked another replay in the meantime
+      if (clients.get(entry.clientId) !== entry || entry.replayRequest !== request || entry.roomId) return;
+
+      const replay = new ReplayPlayer(entry, replayId, recording);
+      if (!replay.isPlayable()) {
+        send(entry.ws, { id: Math.random(), type: 'replayFailed', data: { replayId, reason: 'emptyReplay' } }, 'critical');
+        return;
       }
-    }
-  });
+      entry.replay = replay;
+      replay.start();
+      console.log('[SERVER] Client', entry.clientId, 'watching replay', replayId);
+    })
+    .catch((err) => {
+      const reason = err.code === 'ENOENT' ? 'replayNotFound' : 'invalidReplay';
+      if (reason === 'invalidReplay') console.error('[SERVER] Failed to load replay', replayId, err.message);
+      send(entry.ws, { id: Math.random(), type: 'replayFailed', data: { replayId, reason } }, 'critical');
+    });
+}
+
+// Hands a held (or still open) session to the socket of `entry`, which must not have joined a room itself
+function resumeSession(entry, token) {
+  const previous = sessions.find(token);
+  if (!previous || previous === entry || entry.roomId) {
+    const reason = previous ? 'alreadyJoined' : 'sessionExpired';
+    send(entry.ws, { id: Math.random(), type: 'resumeFailed', data: { reason } }, 'critical');
+    return;
+  }
+
+  // the new socket takes over the old client id, player and violation history
+  const oldWs = previous.ws;
+  clients.delete(entry.clientId);
+  sessions.discard(entry);
+  stopReplay(entry);
+  entry.ws.clientId = previous.clientId;
+  previous.ws = entry.ws;
+  previous.lastActivityAt = Date.now();
+  const sessionToken = sessions.resume(previous);
+  if (oldWs && oldWs !== previous.ws) oldWs.terminate();
+
+  console.log('[SERVER] Session resumed:', previous.clientId, 'on a new connection');
+  send(previous.ws, {
+    id: Math.random(),
+    type: 'resumed',
+    data: { clientId: previous.clientId, sessionToken, roomId: previous.roomId, playerId: previous.playerId }
+  }, 'critical');
+  roomManager.getRoom(previous.roomId)?.resumeClient(previous);
+}
+
+// Counts a protocol or anti-cheat violation; every violation spends a strike and running out of strikes disconnects
+function recordViolation(entry, kind, detail = null) {
+  entry.violations[kind] = (entry.violations[kind] || 0) + 1;
+  if (entry.violations[kind] === 1) {
+    console.warn('[ANTICHEAT] First', kind, 'from', entry.clientId, detail || '');
+  }
+  if (!entry.strikes.take()) {
+    console.warn('[ANTICHEAT] Disconnecting', entry.clientId, 'violations:', JSON.stringify(entry.violations));
+    kickClient(entry.clientId, 'Too many invalid messages');
+  }
+}
+
+// Every finished life goes to the high score table, and to the player's profile if it has one
+function saveLife(entry, record) {
+  const profileId = entry.profileId || null;
+  profiles.recordLife(profileId, record)
+    .then((profile) => {
+      if (profile) send(entry.ws, { id: Math.random(), type: 'profile', data: profile });
+    })
+    .catch(err => console.error('[PROFILES] Failed to record life of', entry.clientId, err));
 }
 
-// Create HTTP server (optional) and WebSocket server on top
-const server = http.createServer((req, res) => {
-  res.writeHead(200);
-  res.end('Essence.io WS server');
+// System-wide or single-room announcement, sent as a system chat message
+function announce(message, roomId = null) {
+  const rooms = roomId ? [roomManager.getRoom(roomId)].filter(Boolean) : Array.from(roomManager.rooms.values());
+  rooms.forEach(room => room.chat.sendSystem(message));
+}
+
+// Create HTTP server (status/admin API) and WebSocket server on top
+const app = createApp({
+  roomManager,
+  clients,
+  profiles,
+  adminToken: process.env.ADMIN_TOKEN || null,
+  isReady: () => ready,
+  replayDir: REPLAY_DIR,
+  kickClient,
+  announce
 });
-const wss = new WebSocket.Server({ server });
+const server = http.createServer(app);
+// Oversized frames make ws close the connection (code 1009) before they reach us
+const wss = new WebSocket.Server({ server, maxPayload: GameConfig.MAX_FRAME_SIZE });
 
 wss.on('connection', (ws, req) => {
   const clientId = makeClientId();
   console.log('[SERVER] ✅ Client connected:', clientId);
 
-  // store client entry
-  clients.set(clientId, { ws });
+  // store client entry; every client starts on JSON until it asks for something else.
+  // ws.clientId is the entry this socket belongs to, which changes if it resumes an older session
+  ws.encoding = 'json';
+  ws.clientId = clientId;
+  ws.isAlive = true;
+  const entry = createEntry(clientId, ws);
+  clients.set(clientId, entry);
+  sessions.issue(entry);
 
   // send init packet
   send(ws, {
@@ -101,11 +277,16 @@ wss.on('connection', (ws, req) => {
     data: {
       type: 'init',
       clientId,
+      sessionToken: entry.sessionToken,
       config: {
-        tickRate: TICK_RATE,
-        worldSize: WORLD_SIZE,
-        interpolationDelay: INTERPOLATION_DELAY
-      }
+        tickRate: GameConfig.SERVER_TICK_RATE,
+        snapshotRate: GameConfig.SNAPSHOT_RATE,
+        worldSize: GameConfig.WORLD_SIZE,
+        interpolationDelay: GameConfig.INTERPOLATION_DELAY,
+        // full effective GameConfig, for clients that mirror gameplay constants
+        game: snapshotConfig()
+      },
+      encodings: ['json', 'binary']
     }
   }, 'critical');
 
@@ -113,6 +294,19 @@ wss.on('connection', (ws, req) => {
   ws.on('message', (rawData, isBinary) => {
     let rawStr = '';
     try {
+      if (isBinary) {
+        const buffer = Buffer.isBuffer(rawData) ? rawData : Buffer.from(rawData);
+        if (BinaryProtocol.isBinaryPacket(buffer)) {
+          const decoded = BinaryProtocol.decodeClientPacket(buffer);
+          if (!decoded) {
+            console.error('[SERVER ERROR] Unknown binary packet from', ws.clientId, 'code:', buffer[0]);
+            return;
+          }
+          handleClientMessage(ws.clientId, decoded);
+          return;
+        }
+      }
+
       rawStr = rawToString(rawData);
       const preview = rawStr.length > 500 ? rawStr.substring(0, 500) + '... (truncated)' : rawStr;
       // Try to parse JSON
@@ -124,9 +318,14 @@ wss.on('connection', (ws, req) => {
 
       // handle batch packets or single messages
       if (msg.type === 'batch' && Array.isArray(msg.messages)) {
-        msg.messages.forEach(m => handleClientMessage(clientId, m));
+        if (msg.messages.length > GameConfig.MAX_BATCH_SIZE) {
+          const owner = clients.get(ws.clientId);
+          if (owner) recordViolation(owner, 'batchTooLarge', { size: msg.messages.length });
+          return;
+        }
+        msg.messages.forEach(m => handleClientMessage(ws.clientId, m));
       } else {
-        handleClientMessage(clientId, msg);
+        handleClientMessage(ws.clientId, msg);
       }
     } catch (err) {
       // defensive: log as much as we can without assuming rawData is string
@@ -139,141 +338,287 @@ wss.on('connection', (ws, req) => {
     }
   });
 
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
   ws.on('close', (code, reason) => {
-    console.log('[SERVER] Client disconnected:', clientId, { code, reason: reason?.toString?.() || reason });
-    clients.delete(clientId);
-    players.delete(clientId);
-    // broadcast player left
-    broadcast({ type: 'playerLeft', data: { playerId: clientId } }, clientId);
+    console.log('[SERVER] Client disconnected:', ws.clientId, { code, reason: reason?.toString?.() || reason });
+    const owner = clients.get(ws.clientId);
+    // a resumed session has already moved on to a newer socket; on shutdown sessions are already saved
+    if (!owner || owner.ws !== ws || shuttingDown) return;
+
+    // Dropped connections keep their player for a while; kicks and clean closes (1000) do not
+    if (owner.roomId && !owner.kicked && code !== 1000) {
+      sessions.suspend(owner);
+      roomManager.getRoom(owner.roomId)?.suspendClient(owner);
+      console.log('[SERVER] Holding session of', owner.clientId, 'for', GameConfig.RECONNECT_GRACE_PERIOD, 'ms');
+      return;
+    }
+    removeClient(owner);
   });
 
   ws.on('error', (err) => {
-    console.error('[SERVER] WebSocket error for client', clientId, err);
+    if (err.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+      console.warn('[ANTICHEAT] Oversized frame from', ws.clientId, '- connection closed');
+      return;
+    }
+    console.error('[SERVER] WebSocket error for client', ws.clientId, err);
   });
 });
 
 function handleClientMessage(clientId, msg) {
+  const entry = clients.get(clientId);
+  // a client being disconnected gets nothing more processed
+  if (!entry || entry.ws.readyState !== WebSocket.OPEN) return;
+
+  if (msg === null || typeof msg !== 'object') {
+    recordViolation(entry, 'invalidMessage');
+    return;
+  }
+
   // msg may be shaped as { type, data, ... } or nested; normalize
   const type = msg.type || msg.data?.type;
-  const data = msg.data || msg;
-
   if (!type) {
-    console.warn('[SERVER] Received message without type from', clientId, 'raw:', msg);
+    recordViolation(entry, 'invalidMessage');
+    return;
+  }
+  // checked before charging: costs are looked up by type
+  if (!isKnownMessageType(type)) {
+    recordViolation(entry, 'invalidMessage', { error: 'unknown message type' });
+    return;
+  }
+
+  const cost = Object.prototype.hasOwnProperty.call(GameConfig.MESSAGE_COSTS, type) ? GameConfig.MESSAGE_COSTS[type] : 1;
+  if (!entry.limiter.take(cost)) {
+    recordViolation(entry, 'rateLimited', { type });
     return;
   }
 
-  // Debug log
-  // console.log('[SERVER RECEIVED] From', clientId, type, data);
+  const { data, error } = validateMessage(type, msg.data || msg);
+  if (error) {
+    recordViolation(entry, 'invalidMessage', { error });
+    return;
+  }
+
+  if (GameConfig.DEBUG) console.log('[SERVER RECEIVED] From', clientId, type, data);
+  if (ACTIVITY_MESSAGES.has(type)) entry.lastActivityAt = Date.now();
 
   switch (type) {
     case 'join': {
-      // Expect data.playerName or data.playerName inside data
+      if (shuttingDown) {
+        send(entry.ws, { id: Math.random(), type: 'joinFailed', data: { reason: 'serverShuttingDown' } }, 'critical');
+        break;
+      }
+      // Expect data.playerName or data.playerName inside data; data.roomCode picks a named room
+      stopReplay(entry);
+      entry.snapshotMode = data.snapshotMode === 'delta' ? 'delta' : 'full';
       const playerName = data.playerName || data.name || 'Player';
-      // create a simple player state
-      const spawnX = Math.floor(Math.random() * WORLD_SIZE.width);
-      const spawnY = Math.floor(Math.random() * WORLD_SIZE.height);
-      const playerState = {
-        id: clientId,
-        name: playerName,
-        position: { x: spawnX, y: spawnY },
-        velocity: { x: 0, y: 0 },
-        rotation: 0,
-        essenceCount: 0,
-        health: 100
-      };
-      players.set(clientId, playerState);
-      // attach to clients entry
-      const entry = clients.get(clientId);
-      if (entry) entry.player = playerState;
-
-      console.log(`[SERVER] Player joined: ${playerName} (${clientId}) at (${spawnX},${spawnY})`);
-
-      // send world snapshot to the joining client (include clientId so client can find itself)
-      const snapshot = buildWorldSnapshot(clientId);
-      const ws = clients.get(clientId)?.ws;
-      if (ws) {
-        send(ws, { id: Math.random(), type: 'worldSnapshot', data: snapshot }, 'critical');
+      const { error } = roomManager.join(entry, data.roomCode || null, playerName);
+      if (error) {
+        send(entry.ws, { id: Math.random(), type: 'joinFailed', data: { reason: error } }, 'critical');
+        break;
       }
 
-      // announce to others that a new player joined
-      broadcast({ id: Math.random(), type: 'playerJoined', data: { playerId: clientId, playerData: playerState } }, clientId);
+      entry.profileId = getProfileId(data.profileToken);
+      if (entry.profileId) {
+        profiles.touchProfile(entry.profileId, playerName)
+          .then(profile => send(entry.ws, { id: Math.random(), type: 'profile', data: profile }))
+          .catch(err => console.error('[PROFILES] Failed to load profile for', clientId, err));
+      }
       break;
     }
 
-    case 'input': {
-      // Client sends input updates; apply to player state (basic example)
-      const p = players.get(clientId);
-      if (!p) return;
-      const input = data.input || data;
-      const keys = input.keys || [];
-      // very simple movement application for demo; server authoritative update would be more complex
-      const speed = 150;
-      let dx = 0, dy = 0;
-      if (keys.includes('w') || keys.includes('ArrowUp')) dy -= 1;
-      if (keys.includes('s') || keys.includes('ArrowDown')) dy += 1;
-      if (keys.includes('a') || keys.includes('ArrowLeft')) dx -= 1;
-      if (keys.includes('d') || keys.includes('ArrowRight')) dx += 1;
-      // normalize
-      const mag = Math.hypot(dx, dy) || 1;
-      dx = dx / mag;
-      dy = dy / mag;
-      // apply small step (note: this handler is called at variable frequency; you should instead store input and apply in tick loop)
-      p.position.x = Math.max(0, Math.min(WORLD_SIZE.width, p.position.x + dx * 5));
-      p.position.y = Math.max(0, Math.min(WORLD_SIZE.height, p.position.y + dy * 5));
-      p.velocity.x = dx * speed;
-      p.velocity.y = dy * speed;
-      p.rotation = Math.atan2(dy, dx);
+    case 'spectate': {
+      // data.roomCode picks the room (default: the client's own, else the busiest public one);
+      // data.playerId follows that player, data.camera ({ x, y, width, height }) is a free camera
+      if (shuttingDown) {
+        send(entry.ws, { id: Math.random(), type: 'spectateFailed', data: { reason: 'serverShuttingDown' } }, 'critical');
+        break;
+      }
+      stopReplay(entry);
+      entry.snapshotMode = data.snapshotMode === 'delta' ? 'delta' : 'full';
+      const { error } = roomManager.spectate(entry, data.roomCode || null, { playerId: data.playerId || null, camera: data.camera || null });
+      if (error) {
+        send(entry.ws, { id: Math.random(), type: 'spectateFailed', data: { reason: error } }, 'critical');
+      }
       break;
     }
 
-    case 'ping': {
-      // client ping -> respond with 'pong' including serverTime
-      const ws = clients.get(clientId)?.ws;
-      if (ws) {
-        send(ws, { id: Math.random(), type: 'pong', data: { serverTime: Date.now() } }, 'critical');
+    case 'resume': {
+      // Reconnect within the grace period: take back the session (room, player) a previous socket had
+      if (shuttingDown) {
+        send(entry.ws, { id: Math.random(), type: 'resumeFailed', data: { reason: 'serverShuttingDown' } }, 'critical');
+        break;
       }
+      resumeSession(entry, data.sessionToken);
+      break;
+    }
+
+    case 'watchReplay': {
+      // data.replayId names a recording, see GET /replays
+      watchReplay(entry, data.replayId);
+      break;
+    }
+
+    case 'replayControl': {
+      if (!entry.replay) break;
+      if (!entry.replay.control(data)) {
+        send(entry.ws, { id: Math.random(), type: 'replayFailed', data: { replayId: entry.replay.replayId, reason: 'invalidControl' } });
+      }
+      break;
+    }
+
+    case 'handshake': {
+      // Encoding negotiation; the ack is always JSON so the client learns the binary layout first
+      const encoding = data.encoding === 'binary' ? 'binary' : 'json';
+      entry.ws.encoding = 'json';
+      send(entry.ws, {
+        id: Math.random(),
+        type: 'handshakeAck',
+        data: {
+          encoding,
+          binaryLayout: encoding === 'binary' ? BinaryProtocol.getBinaryLayout() : null
+        }
+      }, 'critical');
+      entry.ws.encoding = encoding;
+      break;
+    }
+
+    case 'ping': {
+      // client ping -> respond with 'pong' including serverTime (and the client's own time, echoed)
+      send(entry.ws, { id: Math.random(), type: 'pong', data: { serverTime: Date.now(), clientTime: data.clientTime } }, 'critical');
+      break;
+    }
+
+    case 'pong': {
+      // reply to our own ping; the echoed serverTime gives the round trip
+      const sentAt = Number(data.serverTime);
+      if (!Number.isFinite(sentAt)) return;
+      const rtt = Date.now() - sentAt;
+      if (rtt < 0 || rtt > 10000) return;
+      entry.rtt = rtt;
+      roomManager.getRoom(entry.roomId)?.updateLatency(entry, rtt);
       break;
     }
 
-    default:
+    default: {
+      // everything else is gameplay and belongs to the client's room
+      const room = roomManager.getRoom(entry.roomId);
+      if (room && room.handleMessage(entry, type, data)) return;
       // unknown: ignore or log
       // console.warn('[SERVER] No handler for message type:', type);
       break;
+    }
   }
 }
 
-function buildWorldSnapshot(forClientId = null) {
-  // simple snapshot with players, essences (none here), npcs (none)
-  const playerList = [];
-  players.forEach(player => {
-    playerList.push({
-      id: player.id,
-      name: player.name,
-      position: { ...player.position },
-      velocity: { ...player.velocity },
-      rotation: player.rotation,
-      essenceCount: player.essenceCount,
-      health: player.health
+// Server-initiated pings feed the RTT used for lag compensation
+setInterval(() => {
+  broadcast(clients, { id: Math.random(), type: 'ping', data: { serverTime: Date.now() } });
+}, GameConfig.PING_INTERVAL);
+
+// Heartbeat: sockets that did not answer the previous ws ping are dead; players idle for too long are dropped
+setInterval(() => {
+  wss.clients.forEach((ws) => {
+    if (!ws.isAlive) {
+      console.log('[SERVER] Terminating unresponsive connection:', ws.clientId);
+      ws.terminate();
+      return;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  });
+
+  const now = Date.now();
+  clients.forEach((entry) => {
+    if (!entry.roomId || entry.disconnectedAt || entry.spectator) return;
+    if (now - entry.lastActivityAt > GameConfig.AFK_TIMEOUT) kickClient(entry.clientId, 'Idle for too long');
+  });
+}, GameConfig.HEARTBEAT_INTERVAL);
+
+roomManager.start();
+
+// Sessions saved by the previous process come back disconnected, held for RECONNECT_GRACE_PERIOD
+async function restoreWorldState() {
+  const state = await takeWorldState(WORLD_STATE_PATH);
+  if (!state) return;
+
+  const entries = roomManager.restore(state, (member) => {
+    const entry = createEntry(member.clientId, null);
+    Object.assign(entry, {
+      playerId: member.playerId,
+      playerName: member.playerName,
+      snapshotMode: member.snapshotMode,
+      profileId: member.profileId,
+      diedAt: member.diedAt,
+      death: member.death || null,
+      spectator: member.spectator ? { ...member.spectator, mode: null, targetId: null } : null,
+      violations: member.violations
     });
+    clients.set(entry.clientId, entry);
+    sessions.restore(entry, member.sessionToken);
+    return entry;
   });
+  console.log(`[SERVER] Restored ${state.rooms.length} rooms and ${entries.length} sessions saved ${Math.round((Date.now() - state.savedAt) / 1000)}s ago`);
+}
 
-  return {
-    type: 'worldSnapshot',
-    clientId: forClientId,
-    players: playerList,
-    essences: [], // fill with essences as you implement them
-    npcs: []
-  };
+// Resolves once every socket has closed, or after a grace period in which stragglers are terminated
+function closeSockets(code, reason) {
+  const closing = Array.from(wss.clients).map(ws => new Promise((resolve) => {
+    ws.once('close', resolve);
+    ws.close(code, reason);
+  }));
+  const timeout = new Promise(resolve => setTimeout(resolve, 2000));
+  return Promise.race([Promise.all(closing), timeout]).then(() => {
+    wss.clients.forEach(ws => ws.terminate());
+  });
 }
 
-// Periodic tick to broadcast world snapshots
-setInterval(() => {
-  if (players.size === 0) return;
-  const snapshot = buildWorldSnapshot(null);
-  broadcast({ id: Math.random(), type: 'worldSnapshot', data: snapshot }, null);
-}, 1000 / TICK_RATE);
-
-// start server
-server.listen(PORT, () => {
-  console.log(`[SERVER] Listening on port ${PORT}`);
-});
+async function finishShutdown() {
+  await roomManager.stop();
+  await saveWorldState(WORLD_STATE_PATH, roomManager.serialize());
+  console.log('[SERVER] World state saved to', WORLD_STATE_PATH);
+  await closeSockets(1012, 'Server restarting');
+  await profiles.close();
+}
+
+// First signal: warn everyone and shut down after SHUTDOWN_COUNTDOWN; a second one exits at once
+function shutdown(signal) {
+  if (shuttingDown) {
+    console.log(`[SERVER] ${signal} received again, exiting now`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  ready = false;
+
+  const countdown = GameConfig.SHUTDOWN_COUNTDOWN;
+  console.log(`[SERVER] ${signal} received, shutting down in ${countdown} ms`);
+  broadcast(clients, { id: Math.random(), type: 'serverShutdown', data: { countdown, shutdownAt: Date.now() + countdown } });
+
+  setTimeout(() => {
+    finishShutdown()
+      .then(() => process.exit(0))
+      .catch((err) => {
+        console.error('[SERVER] Shutdown failed:', err);
+        process.exit(1);
+      });
+  }, countdown);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// start server once stored profiles and the saved world are available
+profiles.load()
+  .then(restoreWorldState)
+  .then(() => {
+    server.listen(PORT, () => {
+      ready = true;
+      console.log(`[SERVER] Listening on port ${PORT}`);
+    });
+  })
+  .catch((err) => {
+    console.error('[SERVER] Failed to start:', err);
+    process.exit(1);
+  });
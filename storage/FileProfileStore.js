@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { MemoryProfileStore } = require('./MemoryProfileStore');
+
+const FILE_VERSION = 1;
+const SAVE_DELAY = 1000;
+
+// MemoryProfileStore persisted to one JSON file. Changes are batched and written at most every SAVE_DELAY ms,
+// through a temporary file and a rename so a crash mid-write leaves the previous file intact.
+class FileProfileStore extends MemoryProfileStore {
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+  }
+
+  async load() {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      console.log('[PROFILES] No profile file yet, starting empty:', this.filePath);
+      return;
+    }
+
+    const data = JSON.parse(contents);
+    if (data.version !== FILE_VERSION) {
+      throw new Error(`${this.filePath}: unsupported profile file version ${data.version}`);
+    }
+    this.profiles = new Map(Object.entries(data.profiles || {}));
+    this.highScores = Array.isArray(data.highScores) ? data.highScores : [];
+    console.log(`[PROFILES] Loaded ${this.profiles.size} profiles from ${this.filePath}`);
+  }
+
+  changed() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(err => console.error('[PROFILES] Failed to save profiles:', err));
+    }, SAVE_DELAY);
+  }
+
+  // Saves run one after another so an older snapshot never overwrites a newer one
+  save() {
+    const data = JSON.stringify({
+      version: FILE_VERSION,
+      profiles: Object.fromEntries(this.profiles),
+      highScores: this.highScores
+    });
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+    return this.saving;
+  }
+
+  async close() {
+    if (!this.saveTimer) {
+      await this.saving;
+      return;
+    }
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.save();
+  }
+}
+
+module.exports = { FileProfileStore };
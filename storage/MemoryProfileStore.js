@@ -0,0 +1,56 @@
+const { GameConfig } = require('../config/GameConfig');
+const { ProfileStore, createProfile, applyLife, insertHighScore } = require('./ProfileStore');
+
+// Keeps everything in memory; lost on restart. Also the base of FileProfileStore.
+class MemoryProfileStore extends ProfileStore {
+  constructor() {
+    super();
+    this.profiles = new Map();
+    this.highScores = [];
+  }
+
+  async getProfile(profileId) {
+    return this.profiles.get(profileId) || null;
+  }
+
+  async touchProfile(profileId, name) {
+    let profile = this.profiles.get(profileId);
+    if (!profile) {
+      profile = createProfile(profileId, name);
+      this.profiles.set(profileId, profile);
+    } else {
+      profile.name = name || profile.name;
+      profile.lastSeenAt = Date.now();
+    }
+    this.changed();
+    return profile;
+  }
+
+  async recordLife(profileId, record) {
+    let profile = null;
+    if (profileId) {
+      profile = this.profiles.get(profileId) || createProfile(profileId, record.name);
+      this.profiles.set(profileId, applyLife(profile, record));
+    }
+
+    insertHighScore(this.highScores, {
+      profileId: profileId || null,
+      name: record.name,
+      score: record.stats.peakPower,
+      essencesCollected: record.stats.essencesCollected,
+      timeAlive: record.stats.timeAlive,
+      achievedAt: record.endedAt
+    });
+    this.changed();
+    return profile;
+  }
+
+  async getHighScores(limit = GameConfig.HIGH_SCORE_SIZE) {
+    return this.highScores.slice(0, limit);
+  }
+
+  // Hook for subclasses that persist
+  changed() {}
+}
+
+module.exports = { MemoryProfileStore };
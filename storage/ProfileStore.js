@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { GameConfig } = require('../config/GameConfig');
+
+// Client-generated profile tokens are secrets; profiles are stored and published under a hash of them
+const PROFILE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+function getProfileId(profileToken) {
+  if (typeof profileToken !== 'string' || !PROFILE_TOKEN_PATTERN.test(profileToken)) return null;
+  return crypto.createHash('sha256').update(profileToken).digest('hex').slice(0, 24);
+}
+
+function createProfile(profileId, name, now = Date.now()) {
+  return {
+    id: profileId,
+    name,
+    createdAt: now,
+    lastSeenAt: now,
+    lifetime: {
+      lives: 0,
+      deaths: 0,
+      essencesCollected: 0,
+      npcsKilled: 0,
+      playersEaten: 0,
+      timeAlive: 0
+    },
+    best: {
+      peakPower: 0,
+      essencesCollected: 0,
+      timeAlive: 0
+    }
+  };
+}
+
+// Adds one finished life ({ name, reason, stats } as recorded by a Room) to a profile
+function applyLife(profile, record, now = Date.now()) {
+  const { stats } = record;
+  profile.name = record.name || profile.name;
+  profile.lastSeenAt = now;
+
+  const lifetime = profile.lifetime;
+  lifetime.lives++;
+  if (record.reason === 'died') lifetime.deaths++;
+  lifetime.essencesCollected += stats.essencesCollected;
+  lifetime.npcsKilled += stats.npcsKilled;
+  lifetime.playersEaten += stats.playersEaten;
+  lifetime.timeAlive += stats.timeAlive;
+
+  const best = profile.best;
+  best.peakPower = Math.max(best.peakPower, stats.peakPower);
+  best.essencesCollected = Math.max(best.essencesCollected, stats.essencesCollected);
+  best.timeAlive = Math.max(best.timeAlive, stats.timeAlive);
+  return profile;
+}
+
+// Keeps the table sorted by score (a life's peak power) and at most HIGH_SCORE_SIZE long;
+// returns false when the entry did not make it
+function insertHighScore(table, entry) {
+  if (entry.score <= 0) return false;
+  if (table.length >= GameConfig.HIGH_SCORE_SIZE && entry.score <= table[table.length - 1].score) return false;
+
+  const index = table.findIndex(existing => entry.score > existing.score);
+  table.splice(index === -1 ? table.length : index, 0, entry);
+  table.length = Math.min(table.length, GameConfig.HIGH_SCORE_SIZE);
+  return true;
+}
+
+// Storage interface for profiles and the all-time high score table. Every method returns a Promise so a
+// backend can do real I/O; see MemoryProfileStore and FileProfileStore.
+class ProfileStore {
+  // Prepares the backend (open files, connect, ...)
+  async load() {}
+
+  // The profile stored under profileId, or null
+  async getProfile(profileId) {
+    throw new Error('ProfileStore.getProfile not implemented');
+  }
+
+  // Creates the profile on first use; returns it
+  async touchProfile(profileId, name) {
+    throw new Error('ProfileStore.touchProfile not implemented');
+  }
+
+  // Adds a finished life to the profile (when profileId is set) and to the high score table;
+  // record is { name, reason, endedAt, stats }
+  async recordLife(profileId, record) {
+    throw new Error('ProfileStore.recordLife not implemented');
+  }
+
+  async getHighScores(limit = GameConfig.HIGH_SCORE_SIZE) {
+    throw new Error('ProfileStore.getHighScores not implemented');
+  }
+
+  // Writes anything pending and releases the backend
+  async close() {}
+}
+
+module.exports = {
+  ProfileStore,
+  getProfileId,
+  createProfile,
+  applyLife,
+  insertHighScore
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gunzip = promisify(zlib.gunzip);
+
+const FILE_VERSION = 1;
+const EXTENSION = '.replay.gz';
+const REPLAY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Where a recording lives in `dir`, or null for an id that could not have been generated by us
+function getReplayPath(dir, replayId) {
+  if (typeof replayId !== 'string' || !REPLAY_ID_PATTERN.test(replayId)) return null;
+  return path.resolve(dir, `${replayId}${EXTENSION}`);
+}
+
+// A recording is gzipped JSON lines: a header, then one frame per line (see systems/MatchRecorder.js).
+// Lines are appended as the match goes on, so a recording cut short by a crash can still be read.
+class ReplayWriter {
+  constructor(filePath, header) {
+    this.filePath = filePath;
+    this.failed = false;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.gzip = zlib.createGzip();
+    this.file = fs.createWriteStream(filePath);
+    this.gzip.pipe(this.file);
+    this.gzip.on('error', err => this.fail(err));
+    this.file.on('error', err => this.fail(err));
+    this.closed = new Promise(resolve => this.file.on('close', resolve));
+
+    this.write({ version: FILE_VERSION, ...header });
+  }
+
+  fail(err) {
+    if (this.failed) return;
+    this.failed = true;
+    console.error('[REPLAY] Failed to write', this.filePath, err.message);
+    this.file.destroy();
+  }
+
+  write(record) {
+    if (this.failed) return;
+    this.gzip.write(`${JSON.stringify(record)}\n`);
+  }
+
+  close() {
+    if (!this.failed) this.gzip.end();
+    return this.closed;
+  }
+}
+
+// { header, frames } of a recording; an unfinished last line is dropped
+async function readReplay(filePath) {
+  const compressed = await fs.promises.readFile(filePath);
+  const contents = (await gunzip(compressed, { finishFlush: zlib.constants.Z_SYNC_FLUSH })).toString('utf8');
+
+  const lines = contents.split('\n');
+  if (!contents.endsWith('\n')) lines.pop();
+  const records = lines.filter(Boolean).map(line => JSON.parse(line));
+
+  const header = records.shift();
+  if (!header || header.version !== FILE_VERSION) {
+    throw new Error(`${filePath}: unsupported replay version ${header ? header.version : 'none'}`);
+  }
+  return { header, frames: records };
+}
+
+// Recordings in `dir`, newest first
+async function listReplays(dir) {
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const replays = await Promise.all(names
+    .filter(name => name.endsWith(EXTENSION))
+    .map(async (name) => {
+      const stat = await fs.promises.stat(path.join(dir, name));
+      return { replayId: name.slice(0, -EXTENSION.length), size: stat.size, modifiedAt: stat.mtimeMs };
+    }));
+  return replays.sort((a, b) => b.modifiedAt - a.modifiedAt);
+}
+
+module.exports = { ReplayWriter, readReplay, listReplays, getReplayPath };
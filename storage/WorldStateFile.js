@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+const FILE_VERSION = 1;
+
+// Rooms, worlds and resumable sessions saved on shutdown (RoomManager.serialize) and read back once on start.
+async function saveWorldState(filePath, state) {
+  const resolved = path.resolve(filePath);
+  const tempPath = `${resolved}.tmp`;
+  await fs.promises.mkdir(path.dirname(resolved), { recursive: true });
+  await fs.promises.writeFile(tempPath, JSON.stringify({ version: FILE_VERSION, savedAt: Date.now(), ...state }));
+  await fs.promises.rename(tempPath, resolved);
+}
+
+// The saved state, or null when there is none. The file is removed so a later crash cannot restore it twice;
+// one that cannot be read back (truncated, or from another version) is moved aside for inspection instead and
+// the server starts with fresh rooms.
+async function takeWorldState(filePath) {
+  const resolved = path.resolve(filePath);
+  let contents;
+  try {
+    contents = await fs.promises.readFile(resolved, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+
+  let state = null;
+  let problem = null;
+  try {
+    state = JSON.parse(contents);
+    if (!state || state.version !== FILE_VERSION) problem = `unsupported world state version ${state ? state.version : 'none'}`;
+  } catch (err) {
+    problem = err.message;
+  }
+
+  if (problem) {
+    const asidePath = `${resolved}.${Date.now()}.bad`;
+    await fs.promises.rename(resolved, asidePath);
+    console.error(`[WORLD STATE] Cannot restore ${resolved} (${problem}); moved it to ${asidePath}`);
+    return null;
+  }
+
+  await fs.promises.unlink(resolved);
+  return state;
+}
+
+module.exports = { saveWorldState, takeWorldState };
@@ -0,0 +1,20 @@
+const { MemoryProfileStore } = require('./MemoryProfileStore');
+const { FileProfileStore } = require('./FileProfileStore');
+
+// PROFILE_STORE picks the backend ('file' by default, or 'memory'); PROFILE_STORE_PATH is the file backend's file.
+// A new backend only has to implement the ProfileStore interface and be added here.
+const BACKENDS = {
+  memory: () => new MemoryProfileStore(),
+  file: env => new FileProfileStore(env.PROFILE_STORE_PATH || 'data/profiles.json')
+};
+
+function createProfileStore(env = process.env) {
+  const backend = env.PROFILE_STORE || 'file';
+  const create = BACKENDS[backend];
+  if (!create) {
+    throw new Error(`Unknown PROFILE_STORE "${backend}", expected one of ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return create(env);
+}
+
+module.exports = { createProfileStore };
@@ -0,0 +1,149 @@
+const { GameConfig } = require('../config/GameConfig');
+
+// Effect handlers, keyed by the `effect` field of GameConfig.ABILITIES entries
+const EFFECTS = {
+  projectile(system, player, ability, direction) {
+    system.projectiles.push({
+      ownerId: player.id,
+      ability: ability.name,
+      position: {
+        x: player.position.x + direction.x * player.radius,
+        y: player.position.y + direction.y * player.radius
+      },
+      velocity: { x: direction.x * ability.speed, y: direction.y * ability.speed },
+      radius: ability.radius,
+      damage: ability.damage,
+      remaining: ability.range
+    });
+  },
+
+  nova(system, player, ability) {
+    const world = system.world;
+    world.getEntitiesInRange(player.position.x, player.position.y, ability.radius + GameConfig.NPC_RADIUS).forEach((entity) => {
+      if (!world.npcs.has(entity.id)) return;
+      world.damageNPC(entity, ability.damage, player.id);
+    });
+  },
+
+  dash(system, player, ability, direction) {
+    player.velocity.x = direction.x * ability.speed;
+    player.velocity.y = direction.y * ability.speed;
+    player.dashUntil = system.world.clock.now() + ability.duration;
+  },
+
+  shield(system, player, ability) {
+    player.shieldedUntil = system.world.clock.now() + ability.duration;
+  },
+
+  pull(system, player, ability) {
+    const world = system.world;
+    world.getEntitiesInRange(player.position.x, player.position.y, ability.radius).forEach((entity) => {
+      if (!world.essences.has(entity.id)) return;
+
+      const dx = player.position.x - entity.position.x;
+      const dy = player.position.y - entity.position.y;
+      const distance = Math.hypot(dx, dy);
+      if (distance > 0) {
+        entity.velocity.x += (dx / distance) * ability.force;
+        entity.velocity.y += (dy / distance) * ability.force;
+      }
+    });
+  }
+};
+
+class AbilitySystem {
+  constructor(world) {
+    this.world = world;
+    this.projectiles = [];
+  }
+
+  getAbility(name) {
+    const definition = GameConfig.ABILITIES[name];
+    return definition ? { name, ...definition } : null;
+  }
+
+  getUnlockedAbilities(player) {
+    const composition = player.getEssenceComposition();
+    return Object.keys(GameConfig.ABILITIES).filter((name) => {
+      const ability = GameConfig.ABILITIES[name];
+      return (composition[ability.element] || 0) >= ability.requiredPower;
+    });
+  }
+
+  cast(player, abilityName, aim = null) {
+    const ability = this.getAbility(abilityName);
+    if (!ability || !EFFECTS[ability.effect]) return { ok: false, reason: 'unknownAbility' };
+
+    const composition = player.getEssenceComposition();
+    if ((composition[ability.element] || 0) < ability.requiredPower) return { ok: false, reason: 'locked' };
+
+    const now = this.world.clock.now();
+    if (now < (player.abilityCooldowns[ability.name] || 0)) return { ok: false, reason: 'cooldown' };
+    if (player.mana < ability.manaCost) return { ok: false, reason: 'mana' };
+
+    player.mana -= ability.manaCost;
+    player.abilityCooldowns[ability.name] = now + ability.cooldown;
+
+    const direction = this.getDirection(player, aim);
+    EFFECTS[ability.effect](this, player, ability, direction);
+
+    this.world.deltaUpdates.push({
+      type: 'abilityCast',
+      playerId: player.id,
+      ability: ability.name,
+      element: ability.element,
+      effect: ability.effect,
+      position: { ...player.position },
+      direction,
+      timestamp: now
+    });
+
+    return { ok: true };
+  }
+
+  // Aim is a direction vector from the client; players who send none fire where they face
+  getDirection(player, aim) {
+    if (aim && Number.isFinite(aim.x) && Number.isFinite(aim.y)) {
+      const length = Math.hypot(aim.x, aim.y);
+      if (length > 0) return { x: aim.x / length, y: aim.y / length };
+    }
+    return { x: Math.cos(player.rotation), y: Math.sin(player.rotation) };
+  }
+
+  update(deltaTime) {
+    this.projectiles = this.projectiles.filter((projectile) => {
+      const stepX = projectile.velocity.x * deltaTime;
+      const stepY = projectile.velocity.y * deltaTime;
+      projectile.position.x += stepX;
+      projectile.position.y += stepY;
+      projectile.remaining -= Math.hypot(stepX, stepY);
+
+      const hit = this.findProjectileHit(projectile);
+      if (hit) {
+        this.world.damageNPC(hit, projectile.damage, projectile.ownerId);
+        return false;
+      }
+
+      return projectile.remaining > 0;
+    });
+  }
+
+  findProjectileHit(projectile) {
+    const world = this.world;
+    const candidates = world.getEntitiesInRange(
+      projectile.position.x,
+      projectile.position.y,
+      projectile.radius + GameConfig.NPC_RADIUS
+    );
+
+    return candidates.find(entity => world.npcs.has(entity.id) &&
+      Math.hypot(entity.position.x - projectile.position.x, entity.position.y - projectile.position.y) <
+        entity.radius + projectile.radius) || null;
+  }
+
+  removePlayerProjectiles(playerId) {
+    this.projectiles = this.projectiles.filter(projectile => projectile.ownerId !== playerId);
+  }
+}
+
+module.exports = { AbilitySystem };
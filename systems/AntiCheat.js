@@ -0,0 +1,33 @@
+const { GameConfig } = require('../config/GameConfig');
+
+// Checks on what clients send, beyond its shape. The simulation is authoritative: players move and pick up
+// essences only by the server's own rules, so the one thing a client can push is how fast its inputs arrive.
+// Findings are reported as 'violation' deltas for the room to count against the client.
+class AntiCheat {
+  constructor(world) {
+    this.world = world;
+  }
+
+  // Called once per tick. The world applies one input per tick, so a client whose queue overflowed sends
+  // faster than the tick rate; a burst after a stall overflows it once, a client that keeps it up every tick.
+  checkInputs(player) {
+    if (player.droppedInputs === 0) return true;
+
+    this.report(player, 'inputFlood', { dropped: player.droppedInputs, queue: GameConfig.MAX_INPUT_QUEUE });
+    player.droppedInputs = 0;
+    return false;
+  }
+
+  report(player, kind, detail) {
+    this.world.deltaUpdates.push({
+      type: 'violation',
+      playerId: player.id,
+      clientId: player.clientId,
+      kind,
+      detail,
+      timestamp: this.world.clock.now()
+    });
+  }
+}
+
+module.exports = { AntiCheat };
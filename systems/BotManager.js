@@ -0,0 +1,157 @@
+const { GameConfig } = require('../config/GameConfig');
+
+// Held keys for a heading; diagonals count once the minor axis is at least half the major one
+function directionToKeys(x, y) {
+  const keys = [];
+  const major = Math.max(Math.abs(x), Math.abs(y));
+  if (major === 0) return keys;
+  if (y < -major / 2) keys.push('w');
+  if (y > major / 2) keys.push('s');
+  if (x < -major / 2) keys.push('a');
+  if (x > major / 2) keys.push('d');
+  return keys;
+}
+
+// Server-side players that keep a room from feeling empty. A bot is an ordinary Player (flagged isBot) steered
+// through processPlayerInput like a human: it runs from anything that could swallow it, otherwise heads for
+// the nearest essence, otherwise wanders. The manager keeps humans plus bots at BOT_TARGET_POPULATION and
+// removes bots again, weakest first, as humans arrive.
+class BotManager {
+  constructor(world) {
+    this.world = world;
+    // playerId -> { playerId, seq, heading, nextThinkAt }
+    this.bots = new Map();
+    this.botCounter = 0;
+  }
+
+  count() {
+    return this.bots.size;
+  }
+
+  // Adds or removes at most one bot per call, bots leaving while `active` is false; returns { added } (the
+  // new Player), { removed } (a player id) or null
+  maintain(active) {
+    this.forgetDeadBots();
+    const humanCount = this.world.players.size - this.bots.size;
+    const target = active ? Math.max(0, GameConfig.BOT_TARGET_POPULATION - humanCount) : 0;
+    if (this.bots.size < target) {
+      return { added: this.addBot() };
+    }
+    if (this.bots.size > target) {
+      const playerId = this.getWeakestBot();
+      this.removeBot(playerId);
+      return { removed: playerId };
+    }
+    return null;
+  }
+
+  addBot() {
+    const name = this.pickName();
+    const player = this.world.addPlayer(`bot_${++this.botCounter}`, name);
+    player.isBot = true;
+    this.track(player);
+    return player;
+  }
+
+  track(player) {
+    this.bots.set(player.id, { playerId: player.id, seq: 0, heading: null, nextThinkAt: 0 });
+  }
+
+  removeBot(playerId) {
+    this.bots.delete(playerId);
+    this.world.removePlayer(playerId);
+  }
+
+  // Eaten bots are simply dropped; maintain() replaces them
+  forgetDeadBots() {
+    this.bots.forEach((bot, playerId) => {
+      if (!this.world.players.has(playerId)) this.bots.delete(playerId);
+    });
+  }
+
+  getWeakestBot() {
+    let weakest = null;
+    this.bots.forEach((bot, playerId) => {
+      const player = this.world.players.get(playerId);
+      if (!weakest || player.power < weakest.power) weakest = player;
+    });
+    return weakest.id;
+  }
+
+  pickName() {
+    const taken = new Set(Array.from(this.world.players.values()).map(player => player.name));
+    const free = GameConfig.BOT_NAMES.filter(name => !taken.has(name));
+    if (free.length > 0) return free[Math.floor(this.world.rng.next() * free.length)];
+    return `Bot ${this.botCounter + 1}`;
+  }
+
+  // Bots whose players came back from a saved world
+  adoptExisting() {
+    this.world.players.forEach((player) => {
+      if (player.isBot) this.track(player);
+    });
+  }
+
+  // Called before every world update; each bot reconsiders its keys every BOT_THINK_INTERVAL
+  update() {
+    const now = this.world.clock.now();
+    this.bots.forEach((bot) => {
+      const player = this.world.players.get(bot.playerId);
+      if (!player || now < bot.nextThinkAt) return;
+
+      bot.nextThinkAt = now + GameConfig.BOT_THINK_INTERVAL;
+      const heading = this.think(bot, player);
+      this.world.processPlayerInput(player.id, { keys: directionToKeys(heading.x, heading.y), seq: ++bot.seq });
+    });
+  }
+
+  think(bot, player) {
+    let fleeX = 0;
+    let fleeY = 0;
+    let nearestEssence = null;
+    let nearestDistance = Infinity;
+
+    this.world.getEntitiesInRange(player.position.x, player.position.y, GameConfig.BOT_SENSE_RANGE).forEach((entity) => {
+      if (entity === player) return;
+      const dx = entity.position.x - player.position.x;
+      const dy = entity.position.y - player.position.y;
+      const distance = Math.max(1, Math.hypot(dx, dy));
+
+      if (this.world.essences.has(entity.id)) {
+        // in team mode the team's own element is worth a detour
+        const effectiveDistance = player.team && entity.type === player.team ? distance / GameConfig.TEAM_ELEMENT_BONUS : distance;
+        if (effectiveDistance < nearestDistance) {
+          nearestEssence = entity;
+          nearestDistance = effectiveDistance;
+        }
+        return;
+      }
+
+      // Closer threats weigh more
+      const consumption = this.world.getConsumption(entity, player);
+      if (consumption && consumption.prey === player) {
+        fleeX -= dx / (distance * distance);
+        fleeY -= dy / (distance * distance);
+      }
+    });
+
+    if (fleeX !== 0 || fleeY !== 0) return { x: fleeX, y: fleeY };
+    if (nearestEssence) {
+      return { x: nearestEssence.position.x - player.position.x, y: nearestEssence.position.y - player.position.y };
+    }
+
+    // Nothing in sight: keep wandering, now and then in a new direction, and turn back from the edges
+    const size = GameConfig.WORLD_SIZE;
+    const margin = player.radius * 2;
+    const { x, y } = player.position;
+    if (x < margin || y < margin || x > size.width - margin || y > size.height - margin) {
+      bot.heading = { x: size.width / 2 - x, y: size.height / 2 - y };
+    } else if (!bot.heading || this.world.rng.next() < 0.1) {
+      const angle = this.world.rng.next() * Math.PI * 2;
+      bot.heading = { x: Math.cos(angle), y: Math.sin(angle) };
+    }
+    return bot.heading;
+  }
+}
+
+module.exports = { BotManager, directionToKeys };
@@ -0,0 +1,88 @@
+const { GameConfig } = require('../config/GameConfig');
+const { TokenBucket } = require('../utils/RateLimiter');
+const { censor, stripInvisible } = require('../utils/TextFilter');
+const { send } = require('../utils/Network');
+
+// A room's chat: 'room' messages reach every member, 'proximity' ones only players within
+// VISIBILITY_DISTANCE of the sender, 'system' ones come from the server or an admin.
+// Per client entry: chatLimiter, mutedUntil (set by admins) and ignored (clientIds it does not want to hear).
+class ChatChannel {
+  constructor(room) {
+    this.room = room;
+    this.history = [];
+    this.messageCounter = 0;
+  }
+
+  // Returns null on success, or the reason the message was refused
+  post(entry, rawText, mode = 'room') {
+    if (entry.mutedUntil && Date.now() < entry.mutedUntil) return 'muted';
+
+    const text = stripInvisible(rawText).replace(/\s+/g, ' ').trim();
+    if (!text) return 'empty';
+    if (text.length > GameConfig.CHAT_MAX_LENGTH) return 'tooLong';
+
+    if (!entry.chatLimiter) entry.chatLimiter = new TokenBucket(GameConfig.CHAT_BURST, GameConfig.CHAT_PER_SECOND);
+    if (!entry.chatLimiter.take()) return 'rateLimited';
+
+    const sender = entry.playerId ? this.room.world.players.get(entry.playerId) : null;
+    if (mode === 'proximity' && !sender) return 'notAlive';
+
+    const message = this.createMessage(mode, {
+      playerId: entry.playerId || null,
+      name: entry.playerName || 'Player',
+      text: censor(text)
+    });
+
+    this.room.members.forEach((member) => {
+      if (member.ignored && member.ignored.has(entry.clientId)) return;
+      if (mode === 'proximity' && member !== entry && !this.canHear(member, sender)) return;
+      send(member.ws, { id: Math.random(), type: 'chat', data: message });
+    });
+    if (mode === 'room') this.remember(message);
+    return null;
+  }
+
+  sendSystem(text) {
+    const message = this.createMessage('system', { playerId: null, name: null, text });
+    this.room.broadcast({ id: Math.random(), type: 'chat', data: message });
+    this.remember(message);
+  }
+
+  canHear(member, sender) {
+    const listener = member.playerId ? this.room.world.players.get(member.playerId) : null;
+    if (!listener) return false;
+    const distance = Math.hypot(listener.position.x - sender.position.x, listener.position.y - sender.position.y);
+    return distance <= GameConfig.VISIBILITY_DISTANCE;
+  }
+
+  // Ignoring works on the client behind a player, so it survives the player respawning
+  setIgnored(entry, playerId, ignored) {
+    const target = Array.from(this.room.members.values()).find(member => member.playerId === playerId);
+    if (!target || target === entry) return false;
+
+    if (!entry.ignored) entry.ignored = new Set();
+    if (ignored) {
+      entry.ignored.add(target.clientId);
+    } else {
+      entry.ignored.delete(target.clientId);
+    }
+    return true;
+  }
+
+  createMessage(mode, fields) {
+    this.messageCounter++;
+    return { id: this.messageCounter, mode, ...fields, time: Date.now() };
+  }
+
+  // Room-wide and system messages are replayed to players joining the room
+  remember(message) {
+    this.history.push(message);
+    if (this.history.length > GameConfig.CHAT_HISTORY_SIZE) this.history.shift();
+  }
+
+  getHistory() {
+    return this.history.slice();
+  }
+}
+
+module.exports = { ChatChannel };
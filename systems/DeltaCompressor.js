@@ -0,0 +1,133 @@
+// Public fields of players and NPCs besides movement; when any of them differs from what a viewer was last
+// sent, the entity goes out in `changed` with all of them
+const STATE_FIELDS = {
+  players: ['radius', 'essenceCount', 'power', 'health', 'mana', 'maxMana', 'shielded', 'bot', 'team', 'teamColor'],
+  npcs: ['radius', 'health', 'maxHealth']
+};
+
+function getState(entity, kind, now) {
+  const data = entity.getPublicData(now);
+  const state = { id: entity.id };
+  STATE_FIELDS[kind].forEach((field) => {
+    state[field] = data[field];
+  });
+  return state;
+}
+
+// Accumulates GameWorld.deltaUpdates between two snapshot ticks and turns them
+// into per-viewer delta packets on top of the InterestManager view diff.
+class DeltaCompressor {
+  constructor(world) {
+    this.world = world;
+    this.movedIds = new Set();
+    this.collected = [];
+    // viewer id -> (entity id -> its STATE_FIELDS as last sent, JSON)
+    this.sentStates = new Map();
+  }
+
+  // The viewer was just sent `visible` in full (a baseline snapshot)
+  setBaseline(viewerId, visible) {
+    const sent = new Map();
+    Object.keys(STATE_FIELDS).forEach((kind) => {
+      visible[kind].forEach(entity => sent.set(entity.id, JSON.stringify(getState(entity, kind, this.world.clock.now()))));
+    });
+    this.sentStates.set(viewerId, sent);
+  }
+
+  removeViewer(viewerId) {
+    this.sentStates.delete(viewerId);
+  }
+
+  collect() {
+    this.world.getDeltaUpdates().forEach((delta) => {
+      switch (delta.type) {
+        case 'entityMoved':
+          this.movedIds.add(delta.entity.id);
+          break;
+        case 'essenceCollected':
+          this.collected.push({
+            playerId: delta.playerId,
+            essenceId: delta.essenceId,
+            essenceCount: delta.essenceCount
+          });
+          break;
+        default:
+          // additions and removals reach viewers through the view diff
+          break;
+      }
+    });
+  }
+
+  build(view, baseTick, playerId, viewerId) {
+    const { visible, visibleIds, entered, left } = view;
+    const enteredIds = new Set();
+    Object.values(entered).forEach(list => list.forEach(data => enteredIds.add(data.id)));
+    const leftIds = new Set(left);
+
+    const moved = [];
+    this.movedIds.forEach((entityId) => {
+      if (!visibleIds.has(entityId) || enteredIds.has(entityId)) return;
+      const entity = this.world.getEntity(entityId);
+      if (!entity) return;
+      moved.push({
+        id: entity.id,
+        position: { ...entity.position },
+        velocity: { ...entity.velocity },
+        rotation: entity.rotation,
+        radius: entity.radius
+      });
+    });
+
+    // Entered entities arrive with all their data; only ones the viewer already had can be out of date
+    const sent = this.sentStates.get(viewerId) || new Map();
+    const changed = { players: [], npcs: [] };
+    Object.keys(STATE_FIELDS).forEach((kind) => {
+      visible[kind].forEach((entity) => {
+        const state = getState(entity, kind, this.world.clock.now());
+        const key = JSON.stringify(state);
+        if (sent.get(entity.id) === key) return;
+        sent.set(entity.id, key);
+        if (!enteredIds.has(entity.id)) changed[kind].push(state);
+      });
+    });
+    left.forEach(entityId => sent.delete(entityId));
+    this.sentStates.set(viewerId, sent);
+
+    const collected = this.collected.filter(event =>
+      visibleIds.has(event.playerId) || leftIds.has(event.essenceId)
+    );
+
+    // The viewer's own state goes out every time so the client can reconcile its prediction
+    const player = this.world.players.get(playerId);
+    const self = player ? {
+      lastProcessedInput: player.lastProcessedInput,
+      position: { ...player.position },
+      velocity: { ...player.velocity },
+      rotation: player.rotation,
+      radius: player.radius,
+      essenceCount: player.essences.length,
+      power: player.power,
+      health: player.health,
+      mana: Math.floor(player.mana),
+      maxMana: player.maxMana
+    } : null;
+
+    return {
+      tick: this.world.tick,
+      baseTick,
+      self,
+      entered,
+      left,
+      moved,
+      changed,
+      collected
+    };
+  }
+
+  reset() {
+    this.movedIds.clear();
+    this.collected = [];
+  }
+}
+
+module.exports = { DeltaCompressor };
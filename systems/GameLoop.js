@@ -0,0 +1,84 @@
+const MAX_TICKS_PER_FRAME = 5;
+
+class GameLoop {
+  constructor(tickRate, onTick) {
+    this.tickRate = tickRate;
+    this.timestep = 1 / tickRate;
+    this.onTick = onTick;
+
+    this.accumulator = 0;
+    this.lastTime = 0;
+    this.timer = null;
+
+    this.stats = {
+      ticks: 0,
+      lastTickMs: 0,
+      averageTickMs: 0,
+      maxTickMs: 0,
+      droppedMs: 0
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.lastTime = Date.now();
+    this.accumulator = 0;
+    this.timer = setInterval(() => this.frame(), 1000 / this.tickRate);
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  frame() {
+    const now = Date.now();
+    this.accumulator += (now - this.lastTime) / 1000;
+    this.lastTime = now;
+
+    let ticks = 0;
+    while (this.accumulator >= this.timestep && ticks < MAX_TICKS_PER_FRAME) {
+      const tickStart = process.hrtime.bigint();
+      this.onTick(this.timestep);
+      this.recordTick(Number(process.hrtime.bigint() - tickStart) / 1e6);
+      this.accumulator -= this.timestep;
+      ticks++;
+    }
+
+    // Drop time we could not catch up on instead of spiralling
+    if (ticks === MAX_TICKS_PER_FRAME && this.accumulator >= this.timestep) {
+      console.warn(`[LOOP] Falling behind, dropping ${(this.accumulator * 1000).toFixed(1)}ms`);
+      this.stats.droppedMs += this.accumulator * 1000;
+      this.accumulator = 0;
+    }
+  }
+
+  recordTick(durationMs) {
+    const stats = this.stats;
+    stats.ticks++;
+    stats.lastTickMs = durationMs;
+    stats.averageTickMs = stats.ticks === 1 ? durationMs : stats.averageTickMs * 0.95 + durationMs * 0.05;
+    stats.maxTickMs = Math.max(stats.maxTickMs, durationMs);
+  }
+
+  getStats() {
+    return {
+      tickRate: this.tickRate,
+      running: this.isRunning(),
+      ticks: this.stats.ticks,
+      lastTickMs: Number(this.stats.lastTickMs.toFixed(3)),
+      averageTickMs: Number(this.stats.averageTickMs.toFixed(3)),
+      maxTickMs: Number(this.stats.maxTickMs.toFixed(3)),
+      droppedMs: Math.round(this.stats.droppedMs)
+    };
+  }
+}
+
+module.exports = { GameLoop };
@@ -2,16 +2,26 @@ const { Quadtree } = require('../utils/Quadtree');
 const { Player } = require('../entities/Player');
 const { Essence } = require('../entities/Essence');
 const { NPC } = require('../entities/NPC');
+const { WorldHistory } = require('./WorldHistory');
+const { AbilitySystem } = require('./AbilitySystem');
+const { AntiCheat } = require('./AntiCheat');
 const { GameConfig } = require('../config/GameConfig');
+const { Random } = require('../utils/Random');
+const { systemClock } = require('../utils/Clock');
 
 class GameWorld {
-  constructor() {
+  // seed makes every random choice in the world repeatable; clock is where timers read the time
+  // (see utils/Clock). Live rooms use the defaults, headless runs pass both.
+  constructor({ seed, clock = systemClock } = {}) {
+    this.rng = new Random(seed);
+    this.clock = clock;
+
     this.players = new Map();
     this.essences = new Map();
     this.npcs = new Map();
     
     this.tick = 0;
-    this.lastUpdateTime = Date.now();
+    this.lastUpdateTime = this.clock.now();
     
     this.quadtree = new Quadtree({
       x: 0,
@@ -20,90 +30,284 @@ class GameWorld {
       height: GameConfig.WORLD_SIZE.height
     }, 4, 8);
 
+    this.history = new WorldHistory(
+      Math.ceil(GameConfig.HISTORY_DURATION / 1000 * GameConfig.SERVER_TICK_RATE) + 1
+    );
+
+    this.npcRespawnQueue = [];
+    // Team mode: points per team this match (see scoreCollection)
+    this.teamScores = {};
+    this.abilities = new AbilitySystem(this);
+    this.antiCheat = new AntiCheat(this);
+
     this.entityIdCounter = 0;
     this.deltaUpdates = [];
+    this.lastTickDeltas = [];
 
     this.initializeWorld();
+    // baselines can be sent before the first tick
+    this.rebuildQuadtree();
   }
 
   initializeWorld() {
     for (let i = 0; i < GameConfig.INITIAL_ESSENCE_COUNT; i++) {
       this.spawnEssence(
-        Math.random() * GameConfig.WORLD_SIZE.width,
-        Math.random() * GameConfig.WORLD_SIZE.height
+        this.rng.next() * GameConfig.WORLD_SIZE.width,
+        this.rng.next() * GameConfig.WORLD_SIZE.height
       );
     }
 
     for (let i = 0; i < GameConfig.INITIAL_NPC_COUNT; i++) {
-      const x = Math.random() * GameConfig.WORLD_SIZE.width;
-      const y = Math.random() * GameConfig.WORLD_SIZE.height;
+      const x = this.rng.next() * GameConfig.WORLD_SIZE.width;
+      const y = this.rng.next() * GameConfig.WORLD_SIZE.height;
       this.spawnNPC(x, y);
     }
 
     console.log(`[WORLD] Initialized with ${GameConfig.INITIAL_ESSENCE_COUNT} essences and ${GameConfig.INITIAL_NPC_COUNT} NPCs`);
   }
 
+  // Saved world for a restart; see restoreState
+  serialize() {
+    return {
+      tick: this.tick,
+      entityIdCounter: this.entityIdCounter,
+      players: Array.from(this.players.values()).map(player => player.serialize()),
+      essences: Array.from(this.essences.values()).map(essence => essence.serialize()),
+      npcs: Array.from(this.npcs.values()).map(npc => npc.serialize()),
+      npcRespawnQueue: this.npcRespawnQueue,
+      teamScores: this.teamScores
+    };
+  }
+
+  // Replaces the whole world with a serialized one; projectiles and rewind history are not kept
+  restoreState(state) {
+    this.players.clear();
+    this.essences.clear();
+    this.npcs.clear();
+    this.abilities.projectiles = [];
+    this.history = new WorldHistory(this.history.capacity);
+
+    this.tick = state.tick;
+    this.entityIdCounter = state.entityIdCounter;
+    state.players.forEach(data => this.players.set(data.id, Player.fromState(data, this.clock.now())));
+    state.essences.forEach(data => this.essences.set(data.id, Essence.fromState(data)));
+    state.npcs.forEach(data => this.npcs.set(data.id, NPC.fromState(data, this.rng.next)));
+    this.npcRespawnQueue = state.npcRespawnQueue.slice();
+    this.teamScores = { ...state.teamScores };
+
+    this.deltaUpdates = [];
+    this.lastTickDeltas = [];
+    this.rebuildQuadtree();
+  }
+
   addPlayer(clientId, playerName) {
+    const spawn = this.findSpawnPosition();
     const player = new Player(
       this.getNextEntityId(),
       playerName,
       clientId,
-      GameConfig.WORLD_SIZE.width / 2,
-      GameConfig.WORLD_SIZE.height / 2
+      spawn.x,
+      spawn.y,
+      this.clock.now()
     );
+    player.team = this.pickTeam();
 
     this.players.set(player.id, player);
     this.deltaUpdates.push({
       type: 'playerAdded',
       entity: player,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
 
     return player;
   }
 
-  removePlayer(playerId) {
-    const player = this.players.get(playerId);
-    if (player) {
-      this.players.delete(playerId);
-      this.deltaUpdates.push({
-        type: 'playerRemoved',
-        entityId: playerId,
-        timestamp: Date.now()
+  // Random spot, preferring one with no other player close enough to eat the newcomer
+  findSpawnPosition() {
+    let position = null;
+    for (let attempt = 0; attempt < GameConfig.PLAYER_SPAWN_ATTEMPTS; attempt++) {
+      position = {
+        x: GameConfig.PLAYER_BASE_RADIUS + this.rng.next() * (GameConfig.WORLD_SIZE.width - GameConfig.PLAYER_BASE_RADIUS * 2),
+        y: GameConfig.PLAYER_BASE_RADIUS + this.rng.next() * (GameConfig.WORLD_SIZE.height - GameConfig.PLAYER_BASE_RADIUS * 2)
+      };
+
+      let safe = true;
+      this.players.forEach((other) => {
+        const distance = Math.hypot(other.position.x - position.x, other.position.y - position.y);
+        if (distance < other.radius + GameConfig.PLAYER_SPAWN_SAFE_DISTANCE) safe = false;
       });
+      if (safe) break;
     }
+
+    return position;
+  }
+
+  // Element factions playing in team mode; none outside it
+  getTeams() {
+    return GameConfig.TEAM_MODE ? GameConfig.ESSENCE_TYPES.slice(0, GameConfig.TEAM_COUNT) : [];
+  }
+
+  // The team with the fewest players, then the lowest score
+  pickTeam() {
+    const teams = this.getTeams();
+    if (teams.length === 0) return null;
+
+    const counts = this.countTeamMembers();
+    return teams.reduce((best, team) => {
+      if (counts[team] !== counts[best]) return counts[team] < counts[best] ? team : best;
+      return (this.teamScores[team] || 0) < (this.teamScores[best] || 0) ? team : best;
+    });
+  }
+
+  countTeamMembers() {
+    const counts = {};
+    this.getTeams().forEach((team) => {
+      counts[team] = 0;
+    });
+    this.players.forEach((player) => {
+      if (player.team in counts) counts[player.team]++;
+    });
+    return counts;
   }
 
-  spawnEssence(x, y) {
+  // Deals every player into a team afresh, or takes them out of teams outside team mode
+  assignTeams() {
+    this.players.forEach((player) => {
+      player.team = null;
+    });
+    this.players.forEach((player) => {
+      player.team = this.pickTeam();
+    });
+  }
+
+  // A pickup scores its power for the player's team, TEAM_ELEMENT_BONUS times over in the team's own element
+  scoreCollection(player, essence) {
+    if (!player.team) return;
+    const bonus = essence.type === player.team ? GameConfig.TEAM_ELEMENT_BONUS : 1;
+    this.teamScores[player.team] = (this.teamScores[player.team] || 0) + essence.getPower() * bonus;
+  }
+
+  // Teams, best first
+  getTeamScores() {
+    const counts = this.countTeamMembers();
+    return this.getTeams()
+      .map(team => ({
+        team,
+        color: GameConfig.TEAM_COLORS[team] || null,
+        score: Math.round(this.teamScores[team] || 0),
+        players: counts[team]
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // A new team match: essences and NPCs start over, every player keeps its entity but loses what it carried
+  // and moves to a new spawn point, and teams are dealt again
+  resetMatch() {
+    this.essences.clear();
+    this.npcs.clear();
+    this.abilities.projectiles = [];
+    this.npcRespawnQueue = [];
+    this.history = new WorldHistory(this.history.capacity);
+    this.teamScores = {};
+    this.initializeWorld();
+
+    const players = Array.from(this.players.values());
+    this.players.clear();
+    players.forEach((player) => {
+      player.removeEssences(player.essences);
+      player.radius = player.baseRadius;
+      player.health = GameConfig.PLAYER_MAX_HEALTH;
+      player.mana = player.maxMana;
+      player.velocity = { x: 0, y: 0 };
+      player.position = this.findSpawnPosition();
+      player.lastSignificantPosition = { ...player.position };
+      this.players.set(player.id, player);
+    });
+    this.assignTeams();
+
+    // clients get a fresh baseline instead
+    this.deltaUpdates = [];
+    this.lastTickDeltas = [];
+    this.rebuildQuadtree();
+  }
+
+  removePlayer(playerId) {
+    this.detachPlayer(playerId);
+  }
+
+  // Removes a player but hands it back, e.g. to move it into another world
+  detachPlayer(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return null;
+
+    this.players.delete(playerId);
+    this.abilities.removePlayerProjectiles(playerId);
+    this.deltaUpdates.push({
+      type: 'playerRemoved',
+      entityId: playerId,
+      timestamp: this.clock.now()
+    });
+    return player;
+  }
+
+  // Takes in a player detached from another world; ids are per world, so it and its essences get new ones
+  adoptPlayer(player) {
+    player.id = this.getNextEntityId();
+    player.essences.forEach((essence) => {
+      essence.id = this.getNextEntityId();
+    });
+
+    const spawn = this.findSpawnPosition();
+    player.position = { x: spawn.x, y: spawn.y };
+    player.velocity = { x: 0, y: 0 };
+    player.lastSignificantPosition = { ...player.position };
+    player.team = this.pickTeam();
+
+    this.players.set(player.id, player);
+    this.deltaUpdates.push({
+      type: 'playerAdded',
+      entity: player,
+      timestamp: this.clock.now()
+    });
+
+    return player;
+  }
+
+  spawnEssence(x, y, type = GameConfig.getRandomEssenceType(this.rng.next), rarity = Essence.getRandomRarity(this.rng.next)) {
     const essence = new Essence(
       this.getNextEntityId(),
       x,
       y,
-      GameConfig.getRandomEssenceType()
+      type,
+      rarity,
+      1,
+      this.clock.now()
     );
 
     this.essences.set(essence.id, essence);
     this.deltaUpdates.push({
       type: 'essenceAdded',
       entity: essence,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
 
     return essence;
   }
 
-  spawnNPC(x, y) {
+  spawnNPC(x, y, type = NPC.getRandomType(this.rng.next)) {
     const npc = new NPC(
       this.getNextEntityId(),
       x,
-      y
+      y,
+      type,
+      this.rng.next
     );
 
     this.npcs.set(npc.id, npc);
     this.deltaUpdates.push({
       type: 'npcAdded',
       entity: npc,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
 
     return npc;
@@ -117,31 +321,140 @@ class GameWorld {
     const player = this.players.get(playerId);
     if (!player) return;
 
-    player.updateVelocity(input.keys || []);
+    const keys = Array.isArray(input.keys) ? input.keys : [];
+    if (Number.isInteger(input.seq)) {
+      player.queueInput(input.seq, keys);
+    } else {
+      // Clients without sequence numbers just hold keys until the next input
+      player.inputKeys = keys;
+    }
+  }
+
+  processPlayerAttack(playerId, targetId = null) {
+    const player = this.players.get(playerId);
+    if (!player) return null;
+
+    const now = this.clock.now();
+    if (!player.canAttack(now)) return null;
+
+    const target = targetId ? this.getAttackTarget(player, targetId) : this.findNearestNPC(player, GameConfig.PLAYER_ATTACK_RANGE);
+    if (!target) return null;
+
+    player.lastAttackTime = now;
+    return this.damageNPC(target, GameConfig.PLAYER_ATTACK_DAMAGE, player.id);
+  }
+
+  getAttackTarget(player, targetId) {
+    const npc = this.npcs.get(targetId);
+    if (!npc) return null;
+
+    // Judge range against where the NPC was on the attacker's screen
+    return this.wasInRangeForPlayer(player.id, npc.id, GameConfig.PLAYER_ATTACK_RANGE) ? npc : null;
+  }
+
+  findNearestNPC(player, range) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    this.getEntitiesInRange(player.position.x, player.position.y, range + player.radius + GameConfig.NPC_RADIUS).forEach((entity) => {
+      if (!this.npcs.has(entity.id)) return;
+
+      const distance = Math.hypot(entity.position.x - player.position.x, entity.position.y - player.position.y) -
+        entity.radius - player.radius;
+      if (distance <= range && distance < nearestDistance) {
+        nearest = entity;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearest;
+  }
+
+  damageNPC(npc, amount, attackerId) {
+    const killed = npc.takeDamage(amount);
+    this.deltaUpdates.push({
+      type: 'npcDamaged',
+      npcId: npc.id,
+      attackerId,
+      damage: amount,
+      health: Math.max(0, npc.health),
+      maxHealth: npc.maxHealth,
+      timestamp: this.clock.now()
+    });
+
+    if (killed) {
+      this.killNPC(npc, attackerId);
+    }
+
+    return { npcId: npc.id, killed };
+  }
+
+  killNPC(npc, killerId) {
+    this.npcs.delete(npc.id);
+    const killer = this.players.get(killerId);
+    if (killer) killer.stats.npcsKilled++;
+
+    const droppedEssenceIds = [];
+    for (let i = 0; i < GameConfig.NPC_ESSENCE_DROP; i++) {
+      const angle = this.rng.next() * Math.PI * 2;
+      const distance = this.rng.next() * GameConfig.NPC_DROP_SCATTER;
+      const essence = this.spawnEssence(
+        npc.position.x + Math.cos(angle) * distance,
+        npc.position.y + Math.sin(angle) * distance
+      );
+      droppedEssenceIds.push(essence.id);
+    }
+
+    this.deltaUpdates.push({
+      type: 'npcKilled',
+      npcId: npc.id,
+      killerId,
+      position: { ...npc.position },
+      droppedEssenceIds,
+      timestamp: this.clock.now()
+    });
+
+    this.npcRespawnQueue.push(this.clock.now() + GameConfig.NPC_RESPAWN_DELAY);
+  }
+
+  castAbility(playerId, abilityName, aim) {
+    const player = this.players.get(playerId);
+    if (!player) return { ok: false, reason: 'noPlayer' };
+
+    return this.abilities.cast(player, abilityName, aim);
   }
 
   update(deltaTime) {
     this.tick++;
-    this.deltaUpdates = [];
 
     this.players.forEach((player) => {
+      player.processNextInput(this.clock.now());
+      this.antiCheat.checkInputs(player);
       player.update(deltaTime);
       this.trackDelta(player);
     });
 
     this.npcs.forEach((npc) => {
-      npc.update(deltaTime);
+      npc.update(deltaTime, this);
       this.trackDelta(npc);
     });
 
     this.essences.forEach((essence) => {
       essence.update(deltaTime);
+      this.trackDelta(essence);
     });
 
+    this.abilities.update(deltaTime);
     this.updateEssenceAttraction();
     this.handleCollisions();
     this.checkEssenceRespawn();
+    this.checkNpcRespawn();
     this.rebuildQuadtree();
+    this.history.record(this.tick, this.clock.now(), [this.players, this.npcs, this.essences]);
+
+    // Changes made between ticks (joins, leaves) are reported with the tick that follows them
+    this.lastTickDeltas = this.deltaUpdates;
+    this.deltaUpdates = [];
   }
 
   trackDelta(entity) {
@@ -154,7 +467,7 @@ class GameWorld {
           velocity: entity.velocity,
           rotation: entity.rotation
         },
-        timestamp: Date.now()
+        timestamp: this.clock.now()
       });
     }
   }
@@ -183,20 +496,26 @@ class GameWorld {
         }
 
         if (distance < player.radius + essence.radius) {
+          player.recordCollection(essence);
+          this.scoreCollection(player, essence);
           player.addEssence(essence);
+          if (GameConfig.ESSENCE_AUTO_FUSE) this.fuseEssences(player.id);
           this.essences.delete(essence.id);
           this.deltaUpdates.push({
             type: 'essenceCollected',
             playerId: player.id,
             essenceId: essence.id,
             essenceCount: player.essences.length,
-            timestamp: Date.now()
+            timestamp: this.clock.now()
           });
 
-          this.spawnEssence(
-            Math.random() * GameConfig.WORLD_SIZE.width,
-            Math.random() * GameConfig.WORLD_SIZE.height
-          );
+          // Essences scattered by deaths and NPC drops count towards the world's stock
+          if (this.essences.size < GameConfig.INITIAL_ESSENCE_COUNT) {
+            this.spawnEssence(
+              this.rng.next() * GameConfig.WORLD_SIZE.width,
+              this.rng.next() * GameConfig.WORLD_SIZE.height
+            );
+          }
         }
       });
     });
@@ -208,18 +527,143 @@ class GameWorld {
       ...Array.from(this.npcs.values())
     ];
 
+    const consumed = new Set();
+
     for (let i = 0; i < allEntities.length; i++) {
       for (let j = i + 1; j < allEntities.length; j++) {
         const entity1 = allEntities[i];
         const entity2 = allEntities[j];
+        if (consumed.has(entity1) || consumed.has(entity2)) continue;
 
         if (this.checkAABBCollision(entity1, entity2)) {
+          const consumption = this.getConsumption(entity1, entity2);
+          if (consumption) {
+            // A predator may overlap its prey until the prey's center is inside it
+            const { predator, prey } = consumption;
+            const distance = Math.hypot(prey.position.x - predator.position.x, prey.position.y - predator.position.y);
+            if (distance <= predator.radius) {
+              this.killPlayer(prey, predator.id);
+              consumed.add(prey);
+            }
+            continue;
+          }
           this.resolveCollision(entity1, entity2);
         }
       }
     }
   }
 
+  // A big enough player (or hunter NPC) can swallow a smaller, unshielded player
+  getConsumption(entity1, entity2) {
+    const [larger, smaller] = entity1.radius >= entity2.radius ? [entity1, entity2] : [entity2, entity1];
+    if (!this.players.has(smaller.id)) return null;
+    if (this.players.has(larger.id)) {
+      if (larger.radius < smaller.radius * GameConfig.PLAYER_CONSUME_RATIO) return null;
+      // teammates just bump into each other
+      if (larger.team && larger.team === smaller.team) return null;
+    } else if (!this.npcs.has(larger.id) || !larger.canConsume(smaller)) {
+      return null;
+    }
+    if (smaller.isShielded(this.clock.now())) return null;
+
+    return { predator: larger, prey: smaller };
+  }
+
+  killPlayer(player, killerId) {
+    const essenceCount = player.essences.length;
+    const stats = player.getStats(this.clock.now());
+    this.scatterEssences(player);
+    this.players.delete(player.id);
+    this.abilities.removePlayerProjectiles(player.id);
+
+    const killer = this.getEntity(killerId);
+    if (this.players.has(killerId)) killer.stats.playersEaten++;
+    this.deltaUpdates.push({
+      type: 'playerKilled',
+      playerId: player.id,
+      clientId: player.clientId,
+      killerId,
+      killerName: killer ? (killer.name || killer.type) : null,
+      position: { ...player.position },
+      essenceCount,
+      stats,
+      timestamp: this.clock.now()
+    });
+  }
+
+  // Drops everything a player carried around where it died, flung outwards
+  scatterEssences(player) {
+    player.essences.forEach((essence) => {
+      const angle = this.rng.next() * Math.PI * 2;
+      const distance = this.rng.next() * player.radius;
+      const speed = GameConfig.DEATH_SCATTER_SPEED * (0.5 + this.rng.next() * 0.5);
+
+      essence.position = {
+        x: player.position.x + Math.cos(angle) * distance,
+        y: player.position.y + Math.sin(angle) * distance
+      };
+      essence.velocity = {
+        x: Math.cos(angle) * speed,
+        y: Math.sin(angle) * speed
+      };
+
+      this.essences.set(essence.id, essence);
+      this.deltaUpdates.push({
+        type: 'essenceAdded',
+        entity: essence,
+        timestamp: this.clock.now()
+      });
+    });
+
+    player.removeEssences(player.essences);
+  }
+
+  // Applies ESSENCE_FUSION_RECIPES until nothing (matching the optional filters) can fuse any more
+  fuseEssences(playerId, type = null, rarity = null) {
+    const player = this.players.get(playerId);
+    if (!player) return [];
+
+    const fused = [];
+    let changed = true;
+    while (changed) {
+      changed = false;
+
+      const groups = new Map();
+      player.essences.forEach((essence) => {
+        if (type && essence.type !== type) return;
+        if (rarity && essence.rarity !== rarity) return;
+        const key = `${essence.type}:${essence.rarity}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(essence);
+      });
+
+      groups.forEach((group) => {
+        const recipe = GameConfig.ESSENCE_FUSION_RECIPES[group[0].rarity];
+        if (!recipe || recipe.count < 2 || group.length < recipe.count) return;
+
+        const ingredients = group.slice(0, recipe.count);
+        const power = ingredients.reduce((sum, essence) => sum + essence.getPower(), 0) * GameConfig.FUSION_POWER_BONUS;
+        const level = Math.max(1, Math.round(power / GameConfig.ESSENCE_RARITY_POWER[recipe.rarity]));
+        const result = new Essence(
+          this.getNextEntityId(),
+          player.position.x,
+          player.position.y,
+          group[0].type,
+          recipe.rarity,
+          level,
+          this.clock.now()
+        );
+
+        player.removeEssences(ingredients);
+        player.addEssence(result);
+        fused.push({ type: result.type, rarity: result.rarity, level: result.level, consumed: ingredients.length });
+        changed = true;
+      });
+    }
+
+    return fused;
+  }
+
   checkAABBCollision(entity1, entity2) {
     const dx = entity2.position.x - entity1.position.x;
     const dy = entity2.position.y - entity1.position.y;
@@ -250,13 +694,24 @@ class GameWorld {
       const needed = GameConfig.MIN_ESSENCE_COUNT - this.essences.size;
       for (let i = 0; i < needed; i++) {
         this.spawnEssence(
-          Math.random() * GameConfig.WORLD_SIZE.width,
-          Math.random() * GameConfig.WORLD_SIZE.height
+          this.rng.next() * GameConfig.WORLD_SIZE.width,
+          this.rng.next() * GameConfig.WORLD_SIZE.height
         );
       }
     }
   }
 
+  checkNpcRespawn() {
+    const now = this.clock.now();
+    while (this.npcRespawnQueue.length > 0 && this.npcRespawnQueue[0] <= now) {
+      this.npcRespawnQueue.shift();
+      this.spawnNPC(
+        this.rng.next() * GameConfig.WORLD_SIZE.width,
+        this.rng.next() * GameConfig.WORLD_SIZE.height
+      );
+    }
+  }
+
   rebuildQuadtree() {
     this.quadtree.clear();
 
@@ -273,19 +728,143 @@ class GameWorld {
     });
   }
 
-  getWorldSnapshot(playerId) {
+  updatePlayerLatency(playerId, rttSample) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+
+    player.rtt = player.rtt > 0 ? player.rtt * 0.8 + rttSample * 0.2 : rttSample;
+  }
+
+  // The moment of the world a player is looking at: half a round trip plus the client's interpolation buffer
+  getPlayerViewTime(playerId, now = this.clock.now()) {
+    const player = this.players.get(playerId);
+    const rewind = (player ? player.rtt / 2 : 0) + GameConfig.INTERPOLATION_DELAY;
+    return now - Math.min(rewind, GameConfig.MAX_REWIND_TIME);
+  }
+
+  getPositionAt(entityId, time) {
+    const position = this.history.getPositionAt(entityId, time);
+    if (position) return position;
+
+    const entity = this.getEntity(entityId);
+    return entity ? { x: entity.position.x, y: entity.position.y, radius: entity.radius } : null;
+  }
+
+  // Checks a claim against the target as the player saw it, with the player where it is now
+  wasInRangeForPlayer(playerId, targetId, range) {
+    const player = this.players.get(playerId);
+    if (!player) return false;
+
+    const target = this.getPositionAt(targetId, this.getPlayerViewTime(playerId));
+    if (!target) return false;
+
+    const distance = Math.hypot(target.x - player.position.x, target.y - player.position.y);
+    return distance - target.radius - player.radius <= range;
+  }
+
+  getEntity(entityId) {
+    return this.players.get(entityId) || this.essences.get(entityId) || this.npcs.get(entityId);
+  }
+
+  getEntitiesInRange(x, y, range) {
+    const candidates = this.quadtree.search({
+      x: x - range,
+      y: y - range,
+      width: range * 2,
+      height: range * 2
+    });
+
+    const found = [];
+    candidates.forEach((entityId) => {
+      const entity = this.getEntity(entityId);
+      if (!entity) return;
+
+      const distance = Math.hypot(entity.position.x - x, entity.position.y - y);
+      if (distance <= range) {
+        found.push(entity);
+      }
+    });
+
+    return found;
+  }
+
+  getVisibleEntities(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) {
+      return {
+        players: Array.from(this.players.values()),
+        essences: Array.from(this.essences.values()),
+        npcs: Array.from(this.npcs.values())
+      };
+    }
+
+    // The viewer may not be in the quadtree yet if it joined this tick
+    const visible = { players: [player], essences: [], npcs: [] };
+    this.getEntitiesInRange(player.position.x, player.position.y, GameConfig.VISIBILITY_DISTANCE).forEach((entity) => {
+      if (entity === player) return;
+      if (this.players.has(entity.id)) visible.players.push(entity);
+      else if (this.essences.has(entity.id)) visible.essences.push(entity);
+      else if (this.npcs.has(entity.id)) visible.npcs.push(entity);
+    });
+
+    return visible;
+  }
+
+  // Entities positioned inside a rectangle, grouped like getVisibleEntities (spectator free cameras)
+  getEntitiesInArea({ x, y, width, height }) {
+    const visible = { players: [], essences: [], npcs: [] };
+    this.quadtree.search({ x, y, width, height }).forEach((entityId) => {
+      const entity = this.getEntity(entityId);
+      if (!entity) return;
+      const { position } = entity;
+      if (position.x < x || position.x > x + width || position.y < y || position.y > y + height) return;
+
+      if (this.players.has(entityId)) visible.players.push(entity);
+      else if (this.essences.has(entityId)) visible.essences.push(entity);
+      else visible.npcs.push(entity);
+    });
+    return visible;
+  }
+
+  getWorldSnapshot(playerId, visible = this.getVisibleEntities(playerId)) {
     const player = this.players.get(playerId);
     return {
       tick: this.tick,
       clientId: playerId,
-      players: Array.from(this.players.values()).map(p => p.getPublicData()),
-      essences: Array.from(this.essences.values()).map(e => e.getPublicData()),
-      npcs: Array.from(this.npcs.values()).map(n => n.getPublicData())
+      lastProcessedInput: player ? player.lastProcessedInput : 0,
+      players: visible.players.map(p => p.getPublicData(this.clock.now())),
+      essences: visible.essences.map(e => e.getPublicData()),
+      npcs: visible.npcs.map(n => n.getPublicData())
+    };
+  }
+
+  // Top players by power, then essence count
+  getLeaderboard(limit = GameConfig.LEADERBOARD_SIZE) {
+    return Array.from(this.players.values())
+      .sort((a, b) => b.power - a.power || b.essences.length - a.essences.length)
+      .slice(0, limit)
+      .map((player, index) => ({
+        rank: index + 1,
+        playerId: player.id,
+        name: player.name,
+        bot: player.isBot,
+        team: player.team,
+        power: player.power,
+        essenceCount: player.essences.length
+      }));
+  }
+
+  getEntityCounts() {
+    return {
+      players: this.players.size,
+      essences: this.essences.size,
+      npcs: this.npcs.size,
+      projectiles: this.abilities.projectiles.length
     };
   }
 
   getDeltaUpdates() {
-    return this.deltaUpdates;
+    return this.lastTickDeltas;
   }
 }
 
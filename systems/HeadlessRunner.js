@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const { GameWorld } = require('./GameWorld');
+const { ManualClock } = require('../utils/Clock');
+const { Random } = require('../utils/Random');
+const { GameConfig } = require('../config/GameConfig');
+
+// Simulated time starts here on every run, so timestamps in the world are repeatable too
+const START_TIME = Date.UTC(2024, 0, 1);
+
+const DIRECTIONS = [['w'], ['w', 'd'], ['d'], ['s', 'd'], ['s'], ['s', 'a'], ['a'], ['w', 'a']];
+
+function keysToward(from, to) {
+  const keys = [];
+  if (to.y < from.y - 5) keys.push('w');
+  if (to.y > from.y + 5) keys.push('s');
+  if (to.x < from.x - 5) keys.push('a');
+  if (to.x > from.x + 5) keys.push('d');
+  return keys;
+}
+
+// Scripted bots: script(bot, player, world) runs once a tick for a living bot and returns
+// { keys, attack?, ability?, aim?, fuse? } or null to keep the previous keys.
+// bot.random is the bot's own generator, so scripts do not disturb the world's random sequence.
+const BOT_SCRIPTS = {
+  idle() {
+    return null;
+  },
+
+  // Turns 45 degrees every half second
+  circle(bot, player, world) {
+    return { keys: DIRECTIONS[Math.floor(world.tick / 30) % DIRECTIONS.length] };
+  },
+
+  // Picks a new direction at random now and then, dashing when it can
+  wanderer(bot) {
+    if (bot.random.next() > 0.05) return null;
+    return { keys: bot.random.pick(DIRECTIONS), ability: bot.random.next() < 0.3 ? 'airDash' : null };
+  },
+
+  // Heads for the nearest essence, hits NPCs in reach and fuses whenever possible
+  forager(bot, player, world) {
+    const essence = world.getEntitiesInRange(player.position.x, player.position.y, GameConfig.VISIBILITY_DISTANCE)
+      .filter(entity => world.essences.has(entity.id))
+      .reduce((nearest, entity) => {
+        const distance = Math.hypot(entity.position.x - player.position.x, entity.position.y - player.position.y);
+        return !nearest || distance < nearest.distance ? { entity, distance } : nearest;
+      }, null);
+
+    return {
+      keys: essence ? keysToward(player.position, essence.entity.position) : DIRECTIONS[Math.floor(world.tick / 60) % DIRECTIONS.length],
+      attack: world.tick % 10 === 0,
+      fuse: world.tick % 60 === 0
+    };
+  }
+};
+
+// Steps a GameWorld without a network, a room or real time: a seeded world, a manual clock advanced one
+// timestep per tick and scripted bots for input. Two runners with the same seed, bots and tick count
+// end in identical worlds, which getFingerprint() makes easy to compare.
+class HeadlessRunner {
+  constructor({ seed = 1, bots = [], tickRate = GameConfig.SERVER_TICK_RATE } = {}) {
+    this.seed = seed;
+    this.timestep = 1 / tickRate;
+    this.clock = new ManualClock(START_TIME);
+    this.world = new GameWorld({ seed, clock: this.clock });
+    this.bots = [];
+    bots.forEach(bot => this.addBot(bot.name, bot.script));
+  }
+
+  addBot(name, scriptName = 'wanderer') {
+    const script = BOT_SCRIPTS[scriptName];
+    if (!script) throw new Error(`Unknown bot script "${scriptName}", expected one of ${Object.keys(BOT_SCRIPTS).join(', ')}`);
+
+    const index = this.bots.length;
+    const bot = {
+      clientId: `bot_${index}`,
+      name: name || `Bot ${index + 1}`,
+      script,
+      random: new Random(`${this.seed}:${index}`),
+      playerId: null,
+      seq: 0,
+      deaths: 0
+    };
+    bot.playerId = this.world.addPlayer(bot.clientId, bot.name).id;
+    this.bots.push(bot);
+    return bot;
+  }
+
+  step() {
+    this.bots.forEach((bot) => {
+      let player = this.world.players.get(bot.playerId);
+      // Dead bots respawn on the next tick
+      if (!player) {
+        bot.deaths++;
+        player = this.world.addPlayer(bot.clientId, bot.name);
+        bot.playerId = player.id;
+      }
+      this.applyCommand(bot, player, bot.script(bot, player, this.world));
+    });
+
+    this.clock.advance(this.timestep * 1000);
+    this.world.update(this.timestep);
+  }
+
+  applyCommand(bot, player, command) {
+    if (!command) return;
+
+    if (command.keys) this.world.processPlayerInput(player.id, { keys: command.keys, seq: ++bot.seq });
+    if (command.attack) this.world.processPlayerAttack(player.id);
+    if (command.ability) this.world.castAbility(player.id, command.ability, command.aim || null);
+    if (command.fuse) this.world.fuseEssences(player.id);
+  }
+
+  // Steps `ticks` times, checking invariants after each tick; stops at the first broken one
+  run(ticks) {
+    for (let i = 0; i < ticks; i++) {
+      this.step();
+      const problems = this.checkInvariants();
+      if (problems.length > 0) return { ok: false, tick: this.world.tick, problems };
+    }
+    return { ok: true, tick: this.world.tick, problems: [] };
+  }
+
+  // Things that must hold after every tick; returns a description of each that does not
+  checkInvariants() {
+    const world = this.world;
+    const problems = [];
+    const ids = new Set();
+    const size = GameConfig.WORLD_SIZE;
+
+    [world.players, world.npcs, world.essences].forEach((entities) => {
+      entities.forEach((entity) => {
+        if (ids.has(entity.id)) problems.push(`${entity.id} exists twice`);
+        ids.add(entity.id);
+
+        const { x, y } = entity.position;
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+          problems.push(`${entity.id} has position ${x},${y}`);
+        } else if (x < 0 || y < 0 || x > size.width || y > size.height) {
+          problems.push(`${entity.id} is outside the world at ${Math.round(x)},${Math.round(y)}`);
+        }
+      });
+    });
+
+    world.players.forEach((player) => {
+      const power = player.essences.reduce((sum, essence) => sum + essence.getPower(), 0);
+      if (Math.abs(power - player.power) > 1e-6) problems.push(`${player.id} has power ${player.power}, essences add up to ${power}`);
+      if (!Number.isFinite(player.mana) || player.mana < 0 || player.mana > player.maxMana) problems.push(`${player.id} has mana ${player.mana}`);
+    });
+
+    return problems;
+  }
+
+  // Hash of the serialized world; equal fingerprints mean equal worlds
+  getFingerprint() {
+    return crypto.createHash('sha256').update(JSON.stringify(this.world.serialize())).digest('hex');
+  }
+
+  getSummary() {
+    return {
+      seed: this.seed,
+      tick: this.world.tick,
+      entities: this.world.getEntityCounts(),
+      bots: this.bots.map((bot) => {
+        const player = this.world.players.get(bot.playerId);
+        return {
+          name: bot.name,
+          deaths: bot.deaths,
+          power: player ? player.power : 0,
+          essences: player ? player.essences.length : 0
+        };
+      }),
+      fingerprint: this.getFingerprint()
+    };
+  }
+}
+
+module.exports = { HeadlessRunner, BOT_SCRIPTS };
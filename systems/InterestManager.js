@@ -0,0 +1,50 @@
+const ENTITY_KINDS = ['players', 'essences', 'npcs'];
+
+// Tracks which entities each viewer currently knows about so the server can
+// tell clients when entities enter or leave their view.
+class InterestManager {
+  constructor(world) {
+    this.world = world;
+    this.views = new Map();
+  }
+
+  // visible defaults to what the player sees; spectators pass their camera's view
+  update(viewerId, playerId, visible = this.world.getVisibleEntities(playerId)) {
+    const known = this.views.get(viewerId) || new Set();
+    const current = new Set();
+    const entered = { players: [], essences: [], npcs: [] };
+
+    ENTITY_KINDS.forEach((kind) => {
+      visible[kind].forEach((entity) => {
+        current.add(entity.id);
+        if (!known.has(entity.id)) {
+          entered[kind].push(entity.getPublicData(this.world.clock.now()));
+        }
+      });
+    });
+
+    const left = [];
+    known.forEach((entityId) => {
+      if (!current.has(entityId)) left.push(entityId);
+    });
+
+    this.views.set(viewerId, current);
+
+    return { visible, visibleIds: current, entered, left };
+  }
+
+  hasEntered(entered) {
+    return ENTITY_KINDS.some(kind => entered[kind].length > 0);
+  }
+
+  knows(viewerId, entityId) {
+    const known = this.views.get(viewerId);
+    return known ? known.has(entityId) : false;
+  }
+
+  removeViewer(viewerId) {
+    this.views.delete(viewerId);
+  }
+}
+
+module.exports = { InterestManager };
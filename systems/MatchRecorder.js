@@ -0,0 +1,87 @@
+const { ReplayWriter } = require('../storage/ReplayFile');
+const { GameConfig } = require('../config/GameConfig');
+
+const ENTITY_KINDS = ['players', 'essences', 'npcs'];
+
+// Records what a room's clients could see, for playback by ReplayPlayer. Room calls recordEvent for every
+// view event and recordFrame on every snapshot tick; a frame holds the public data of entities that changed
+// since the previous frame, the ids of removed ones, the events since then and the leaderboard if it changed:
+//   { tick, time, keyframe?, players, essences, npcs, removed, events, leaderboard? }
+// A keyframe lists every entity instead, one is written every REPLAY_KEYFRAME_INTERVAL so playback can seek.
+class MatchRecorder {
+  constructor(room, filePath) {
+    this.room = room;
+    this.startedAt = Date.now();
+    this.writer = new ReplayWriter(filePath, {
+      roomId: room.id,
+      startedAt: this.startedAt,
+      tickRate: GameConfig.SERVER_TICK_RATE,
+      worldSize: { ...GameConfig.WORLD_SIZE },
+      visibilityDistance: GameConfig.VISIBILITY_DISTANCE
+    });
+
+    // entity id -> its public data as last written
+    this.written = new Map();
+    this.events = [];
+    this.leaderboardKey = null;
+    this.lastKeyframeTick = null;
+    this.frameCount = 0;
+  }
+
+  // subjectId is the entity a viewer must see to be told about the event
+  recordEvent(type, subjectId, data) {
+    this.events.push({ type, subjectId, data });
+  }
+
+  recordFrame() {
+    const world = this.room.world;
+    const keyframeTicks = Math.round(GameConfig.REPLAY_KEYFRAME_INTERVAL / 1000 * GameConfig.SERVER_TICK_RATE);
+    const keyframe = this.lastKeyframeTick === null || world.tick - this.lastKeyframeTick >= keyframeTicks;
+    const frame = { tick: world.tick, time: Date.now() };
+    if (keyframe) {
+      frame.keyframe = true;
+      this.lastKeyframeTick = world.tick;
+    }
+
+    const seen = new Set();
+    ENTITY_KINDS.forEach((kind) => {
+      frame[kind] = [];
+      world[kind].forEach((entity) => {
+        const publicData = entity.getPublicData(world.clock.now());
+        const data = JSON.stringify(publicData);
+        seen.add(entity.id);
+        if (!keyframe && this.written.get(entity.id) === data) return;
+        this.written.set(entity.id, data);
+        frame[kind].push(publicData);
+      });
+    });
+
+    frame.removed = [];
+    this.written.forEach((data, entityId) => {
+      if (seen.has(entityId)) return;
+      this.written.delete(entityId);
+      if (!keyframe) frame.removed.push(entityId);
+    });
+
+    frame.events = this.events;
+    this.events = [];
+
+    if (this.room.leaderboardKey !== this.leaderboardKey || keyframe) {
+      this.leaderboardKey = this.room.leaderboardKey;
+      frame.leaderboard = this.room.leaderboard;
+    }
+
+    this.writer.write(frame);
+    this.frameCount++;
+  }
+
+  getDuration(now = Date.now()) {
+    return now - this.startedAt;
+  }
+
+  close() {
+    return this.writer.close();
+  }
+}
+
+module.exports = { MatchRecorder };
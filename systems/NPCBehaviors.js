@@ -0,0 +1,146 @@
+// NPC behaviors steer an NPC by setting its targetVelocity; NPC.update does the actual movement.
+// Each behavior is { update(npc, deltaTime, world) }, looked up by the `behavior` of the NPC's archetype.
+
+function setHeading(npc, x, y, speedFactor = 1) {
+  const length = Math.hypot(x, y);
+  if (length === 0) return;
+  npc.targetVelocity.x = (x / length) * npc.speed * speedFactor;
+  npc.targetVelocity.y = (y / length) * npc.speed * speedFactor;
+}
+
+function senseNearby(npc, world) {
+  if (!world) return [];
+  return world.getEntitiesInRange(npc.position.x, npc.position.y, npc.senseRange)
+    .filter(entity => entity !== npc);
+}
+
+const wander = {
+  update(npc, deltaTime, world) {
+    npc.aiTimer += deltaTime;
+    if (npc.aiTimer < npc.aiUpdateInterval) return;
+
+    npc.aiTimer = 0;
+    const random = world ? world.rng.next : Math.random;
+    const angle = random() * Math.PI * 2;
+    npc.targetVelocity.x = Math.cos(angle) * npc.speed;
+    npc.targetVelocity.y = Math.sin(angle) * npc.speed;
+    npc.aiUpdateInterval = 1 + random() * 2;
+  }
+};
+
+// Runs from any player bigger than itself, otherwise wanders
+const skittish = {
+  update(npc, deltaTime, world) {
+    let fleeX = 0;
+    let fleeY = 0;
+
+    senseNearby(npc, world).forEach((entity) => {
+      if (!world.players.has(entity.id) || entity.radius <= npc.radius) return;
+
+      const dx = npc.position.x - entity.position.x;
+      const dy = npc.position.y - entity.position.y;
+      const distance = Math.max(1, Math.hypot(dx, dy));
+      fleeX += dx / (distance * distance);
+      fleeY += dy / (distance * distance);
+    });
+
+    if (fleeX === 0 && fleeY === 0) {
+      wander.update(npc, deltaTime, world);
+      return;
+    }
+
+    setHeading(npc, fleeX, fleeY, npc.archetype.fleeSpeedFactor || 1);
+  }
+};
+
+// Chases the nearest player small enough to be consumed, otherwise wanders
+const hunter = {
+  update(npc, deltaTime, world) {
+    let prey = null;
+    let preyDistance = Infinity;
+
+    senseNearby(npc, world).forEach((entity) => {
+      if (!world.players.has(entity.id) || !npc.canConsume(entity)) return;
+
+      const distance = Math.hypot(entity.position.x - npc.position.x, entity.position.y - npc.position.y);
+      if (distance < preyDistance) {
+        prey = entity;
+        preyDistance = distance;
+      }
+    });
+
+    if (!prey) {
+      wander.update(npc, deltaTime, world);
+      return;
+    }
+
+    setHeading(npc, prey.position.x - npc.position.x, prey.position.y - npc.position.y);
+  }
+};
+
+// Boids: stays with nearby NPCs of the same type, matches their heading and keeps some room
+const herd = {
+  update(npc, deltaTime, world) {
+    wander.update(npc, deltaTime, world);
+
+    const flock = senseNearby(npc, world).filter(entity => world.npcs.has(entity.id) && entity.type === npc.type);
+    if (flock.length === 0) return;
+
+    const weights = npc.archetype.flocking || {};
+    let centerX = 0;
+    let centerY = 0;
+    let headingX = 0;
+    let headingY = 0;
+    let separationX = 0;
+    let separationY = 0;
+
+    flock.forEach((other) => {
+      centerX += other.position.x;
+      centerY += other.position.y;
+      headingX += other.velocity.x;
+      headingY += other.velocity.y;
+
+      const dx = npc.position.x - other.position.x;
+      const dy = npc.position.y - other.position.y;
+      const distance = Math.max(1, Math.hypot(dx, dy));
+      if (distance < (npc.radius + other.radius) * 2) {
+        separationX += dx / distance;
+        separationY += dy / distance;
+      }
+    });
+
+    centerX = centerX / flock.length - npc.position.x;
+    centerY = centerY / flock.length - npc.position.y;
+    const centerLength = Math.max(1, Math.hypot(centerX, centerY));
+    const headingLength = Math.max(1, Math.hypot(headingX, headingY));
+
+    setHeading(
+      npc,
+      npc.targetVelocity.x / npc.speed * (weights.wander || 0) +
+        centerX / centerLength * (weights.cohesion || 0) +
+        headingX / headingLength * (weights.alignment || 0) +
+        separationX * (weights.separation || 0),
+      npc.targetVelocity.y / npc.speed * (weights.wander || 0) +
+        centerY / centerLength * (weights.cohesion || 0) +
+        headingY / headingLength * (weights.alignment || 0) +
+        separationY * (weights.separation || 0)
+    );
+  }
+};
+
+const NPCBehaviors = {
+  wander,
+  skittish,
+  hunter,
+  herd
+};
+
+function registerBehavior(name, behavior) {
+  NPCBehaviors[name] = behavior;
+}
+
+function getBehavior(name) {
+  return NPCBehaviors[name] || wander;
+}
+
+module.exports = { NPCBehaviors, registerBehavior, getBehavior };
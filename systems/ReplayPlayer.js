@@ -0,0 +1,237 @@
+const { send } = require('../utils/Network');
+
+const ENTITY_KINDS = ['players', 'essences', 'npcs'];
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 8;
+
+// Plays a recording (see MatchRecorder) to one client the way a live room shows it to a spectator: roomJoined,
+// then worldSnapshot, enterView/leaveView, view events and leaderboard messages for the part of the world
+// around a camera that follows a recorded player. The client steers playback with 'replayControl' and is
+// told where playback stands with 'replayState'.
+class ReplayPlayer {
+  constructor(entry, replayId, { header, frames }) {
+    this.entry = entry;
+    this.replayId = replayId;
+    this.header = header;
+    this.frames = frames;
+    this.keyframes = [];
+    frames.forEach((frame, index) => {
+      if (frame.keyframe) this.keyframes.push(index);
+    });
+
+    // the recorded world as of frames[this.index]
+    this.index = -1;
+    this.entities = { players: new Map(), essences: new Map(), npcs: new Map() };
+    this.leaderboard = [];
+    // entity ids the client currently has
+    this.known = new Set();
+
+    this.paused = false;
+    this.speed = 1;
+    this.followId = null;
+    this.camera = { x: header.worldSize.width / 2, y: header.worldSize.height / 2 };
+    this.timer = null;
+  }
+
+  isPlayable() {
+    return this.keyframes.length > 0;
+  }
+
+  getStartTick() {
+    return this.frames[this.keyframes[0]].tick;
+  }
+
+  getEndTick() {
+    return this.frames[this.frames.length - 1].tick;
+  }
+
+  start() {
+    send(this.entry.ws, {
+      id: Math.random(),
+      type: 'roomJoined',
+      data: { roomId: this.header.roomId, isPublic: false, maxPlayers: 0, chatHistory: [], replay: this.getState() }
+    }, 'critical');
+    this.seek(this.getStartTick());
+    this.schedule();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Returns false for requests that do not apply
+  control({ action, tick, speed, playerId }) {
+    switch (action) {
+      case 'pause':
+        this.paused = true;
+        this.stop();
+        break;
+      case 'play':
+        // playing from the end starts over
+        if (this.index === this.frames.length - 1) this.seek(this.getStartTick());
+        this.paused = false;
+        this.schedule();
+        break;
+      case 'seek':
+        if (!Number.isInteger(tick)) return false;
+        this.seek(tick);
+        this.schedule();
+        break;
+      case 'speed':
+        if (!Number.isFinite(speed)) return false;
+        this.speed = Math.max(MIN_SPEED, Math.min(MAX_SPEED, speed));
+        this.schedule();
+        break;
+      case 'follow':
+        if (playerId && !this.entities.players.has(playerId)) return false;
+        this.followId = playerId || null;
+        this.sendView([], true);
+        break;
+      default:
+        return false;
+    }
+    this.sendState();
+    return true;
+  }
+
+  getState() {
+    const frame = this.frames[this.index];
+    return {
+      replayId: this.replayId,
+      roomId: this.header.roomId,
+      startedAt: this.header.startedAt,
+      startTick: this.getStartTick(),
+      endTick: this.getEndTick(),
+      tick: frame ? frame.tick : this.getStartTick(),
+      time: frame ? frame.time : this.header.startedAt,
+      paused: this.paused,
+      ended: this.index === this.frames.length - 1,
+      speed: this.speed,
+      followId: this.followId
+    };
+  }
+
+  sendState() {
+    send(this.entry.ws, { id: Math.random(), type: 'replayState', data: this.getState() }, 'critical');
+  }
+
+  // Next frame after the recorded time between the two frames, scaled by the playback speed
+  schedule() {
+    this.stop();
+    if (this.paused || this.index >= this.frames.length - 1) return;
+
+    const ticks = this.frames[this.index + 1].tick - this.frames[this.index].tick;
+    const delay = Math.max(0, ticks / this.header.tickRate * 1000 / this.speed);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.advance();
+    }, delay);
+  }
+
+  advance() {
+    const frame = this.frames[this.index + 1];
+    this.applyFrame(frame);
+    this.index++;
+    this.sendView(frame.events);
+
+    if (this.index === this.frames.length - 1) {
+      this.paused = true;
+      this.sendState();
+      return;
+    }
+    this.schedule();
+  }
+
+  // Rebuilds the world at the last frame at or before `tick` from the keyframe before it, and sends a fresh baseline
+  seek(tick) {
+    let start = this.keyframes[0];
+    this.keyframes.forEach((index) => {
+      if (this.frames[index].tick <= tick) start = index;
+    });
+
+    let end = start;
+    while (end + 1 < this.frames.length && this.frames[end + 1].tick <= tick) end++;
+    for (let index = start; index <= end; index++) {
+      this.applyFrame(this.frames[index]);
+    }
+    this.index = end;
+    this.sendView([], true);
+  }
+
+  applyFrame(frame) {
+    if (frame.keyframe) {
+      ENTITY_KINDS.forEach(kind => this.entities[kind].clear());
+    }
+    ENTITY_KINDS.forEach((kind) => {
+      frame[kind].forEach(data => this.entities[kind].set(data.id, data));
+    });
+    frame.removed.forEach((entityId) => {
+      ENTITY_KINDS.forEach(kind => this.entities[kind].delete(entityId));
+    });
+    if (frame.leaderboard) this.leaderboard = frame.leaderboard;
+  }
+
+  // Follows the chosen player, or the leader when there is none; the camera stays put while nobody is around
+  updateCamera() {
+    let target = this.followId ? this.entities.players.get(this.followId) : null;
+    if (!target && this.leaderboard.length > 0) target = this.entities.players.get(this.leaderboard[0].playerId);
+    if (!target) target = this.entities.players.values().next().value;
+    if (target) this.camera = { x: target.position.x, y: target.position.y };
+    return target || null;
+  }
+
+  sendView(events, baseline = false) {
+    const ws = this.entry.ws;
+    const target = this.updateCamera();
+    const range = this.header.visibilityDistance;
+    const frame = this.frames[this.index];
+
+    const visible = { players: [], essences: [], npcs: [] };
+    const entered = { players: [], essences: [], npcs: [] };
+    const current = new Set();
+    ENTITY_KINDS.forEach((kind) => {
+      this.entities[kind].forEach((data) => {
+        if (Math.hypot(data.position.x - this.camera.x, data.position.y - this.camera.y) > range) return;
+        visible[kind].push(data);
+        current.add(data.id);
+        if (!this.known.has(data.id)) entered[kind].push(data);
+      });
+    });
+    const left = Array.from(this.known).filter(entityId => !current.has(entityId));
+
+    // Like a live room, events go out before the view update that may drop their subject
+    events.forEach((event) => {
+      if (this.known.has(event.subjectId)) send(ws, { id: Math.random(), type: event.type, data: event.data });
+    });
+    this.known = current;
+
+    if (!baseline) {
+      if (ENTITY_KINDS.some(kind => entered[kind].length > 0)) {
+        send(ws, { id: Math.random(), type: 'enterView', data: entered });
+      }
+      if (left.length > 0) {
+        send(ws, { id: Math.random(), type: 'leaveView', data: { entityIds: left } });
+      }
+    }
+
+    send(ws, {
+      id: Math.random(),
+      type: 'worldSnapshot',
+      data: {
+        type: 'worldSnapshot',
+        roomId: this.header.roomId,
+        tick: frame.tick,
+        clientId: target ? target.id : null,
+        lastProcessedInput: 0,
+        ...visible
+      }
+    }, baseline ? 'critical' : 'normal');
+
+    if (baseline || frame.leaderboard) {
+      send(ws, { id: Math.random(), type: 'leaderboard', data: { entries: this.leaderboard } });
+    }
+  }
+}
+
+module.exports = { ReplayPlayer };
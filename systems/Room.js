@@ -0,0 +1,759 @@
+const { GameWorld } = require('./GameWorld');
+const { GameLoop } = require('./GameLoop');
+const { InterestManager } = require('./InterestManager');
+const { DeltaCompressor } = require('./DeltaCompressor');
+const { ChatChannel } = require('./ChatChannel');
+const { MatchRecorder } = require('./MatchRecorder');
+const { BotManager } = require('./BotManager');
+const { getReplayPath } = require('../storage/ReplayFile');
+const { GameConfig } = require('../config/GameConfig');
+const { send, broadcast } = require('../utils/Network');
+
+// simulation ticks between two world snapshot broadcasts; read per tick so config changes apply to running rooms
+function getSnapshotIntervalTicks() {
+  return Math.max(1, Math.round(GameConfig.SERVER_TICK_RATE / GameConfig.SNAPSHOT_RATE));
+}
+
+function getLeaderboardIntervalTicks() {
+  return Math.max(1, Math.round(GameConfig.LEADERBOARD_INTERVAL / 1000 * GameConfig.SERVER_TICK_RATE));
+}
+
+function getBotIntervalTicks() {
+  return Math.max(1, Math.round(GameConfig.BOT_POPULATION_INTERVAL / 1000 * GameConfig.SERVER_TICK_RATE));
+}
+
+function getTeamScoreIntervalTicks() {
+  return Math.max(1, Math.round(GameConfig.TEAM_SCORE_INTERVAL / 1000 * GameConfig.SERVER_TICK_RATE));
+}
+
+// World events forwarded to clients, keyed to the field naming the entity a client must see to get them
+const VIEW_EVENTS = {
+  npcDamaged: 'npcId',
+  npcKilled: 'npcId',
+  playerKilled: 'playerId',
+  abilityCast: 'playerId'
+};
+
+// One GameWorld with its own tick loop and the clients connected to it.
+// Client entries are shared with server.js: { clientId, ws, roomId, playerId, playerName, ... }
+// Members either play or spectate (entry.spectator = { playerId, camera, mode, targetId }, see setSpectator).
+class Room {
+  // onViolation(entry, kind, detail) is told about anti-cheat findings for the room's clients,
+  // onLifeEnded(entry, { name, reason, endedAt, stats }) about every player death or departure;
+  // recordings go to replayDir (none are made without it)
+  constructor(id, { isPublic = true, maxPlayers = GameConfig.ROOM_MAX_PLAYERS, onViolation = null, onLifeEnded = null, replayDir = null } = {}) {
+    this.id = id;
+    this.isPublic = isPublic;
+    this.maxPlayers = maxPlayers;
+    this.onViolation = onViolation;
+    this.onLifeEnded = onLifeEnded;
+    this.replayDir = replayDir;
+    this.createdAt = Date.now();
+    this.emptySince = Date.now();
+
+    this.members = new Map();
+    this.world = new GameWorld();
+    this.interest = new InterestManager(this.world);
+    this.deltas = new DeltaCompressor(this.world);
+    this.chat = new ChatChannel(this);
+    this.bots = new BotManager(this.world);
+    this.leaderboard = [];
+    this.leaderboardKey = '';
+    // Stats of lives that ended here (death or leaving), newest last
+    this.finishedStats = [];
+    // Team mode: when the running match ends (null outside team mode), and the team scores last broadcast
+    this.matchEndsAt = null;
+    this.teamScoresKey = '';
+    if (GameConfig.TEAM_MODE) this.startMatch();
+    this.gameLoop = new GameLoop(GameConfig.SERVER_TICK_RATE, deltaTime => this.tick(deltaTime));
+    this.recorder = null;
+    this.replayId = null;
+    if (GameConfig.RECORD_MATCHES) this.startRecording();
+  }
+
+  start() {
+    this.gameLoop.start();
+  }
+
+  // Resolves once the recording, if any, is written out
+  stop() {
+    this.gameLoop.stop();
+    return this.stopRecording();
+  }
+
+  // Returns the id of the new recording, or null when the room is already recording or cannot record
+  startRecording() {
+    if (this.recorder || !this.replayDir) return null;
+
+    this.replayId = `${this.id}-${Date.now()}`;
+    this.recorder = new MatchRecorder(this, getReplayPath(this.replayDir, this.replayId));
+    console.log(`[ROOM ${this.id}] Recording replay ${this.replayId}`);
+    return this.replayId;
+  }
+
+  stopRecording() {
+    if (!this.recorder) return Promise.resolve();
+
+    const recorder = this.recorder;
+    console.log(`[ROOM ${this.id}] Finished replay ${this.replayId} (${recorder.frameCount} frames)`);
+    this.recorder = null;
+    this.replayId = null;
+    return recorder.close();
+  }
+
+  // Long matches are split into several recordings of at most REPLAY_MAX_DURATION
+  recordFrame() {
+    this.recorder.recordFrame();
+    if (this.recorder.getDuration() < GameConfig.REPLAY_MAX_DURATION) return;
+    this.stopRecording();
+    this.startRecording();
+  }
+
+  getPlayerCount() {
+    return this.members.size - this.getSpectatorCount();
+  }
+
+  getSpectatorCount() {
+    let count = 0;
+    this.members.forEach((entry) => {
+      if (entry.spectator) count++;
+    });
+    return count;
+  }
+
+  isFull() {
+    return this.getPlayerCount() >= this.maxPlayers;
+  }
+
+  // Members who are not spectating already count towards maxPlayers, so they may join again when full
+  holdsPlayerSlot(entry) {
+    const member = this.members.get(entry.clientId);
+    return Boolean(member) && !member.spectator;
+  }
+
+  canSpectate(entry) {
+    return this.members.has(entry.clientId) || this.getSpectatorCount() < GameConfig.MAX_SPECTATORS_PER_ROOM;
+  }
+
+  addClient(entry) {
+    entry.roomId = this.id;
+    this.members.set(entry.clientId, entry);
+    this.sendRoomJoined(entry);
+  }
+
+  sendRoomJoined(entry) {
+    send(entry.ws, {
+      id: Math.random(),
+      type: 'roomJoined',
+      data: { roomId: this.id, isPublic: this.isPublic, maxPlayers: this.maxPlayers, chatHistory: this.chat.getHistory(), match: this.getMatchState() }
+    }, 'critical');
+  }
+
+  removeClient(entry) {
+    if (entry.playerId) {
+      this.retirePlayer(entry, 'left');
+      // broadcast player left
+      this.broadcast({ type: 'playerLeft', data: { playerId: entry.playerId } }, entry.clientId);
+      entry.playerId = null;
+    }
+
+    entry.spectator = null;
+    this.interest.removeViewer(entry.clientId);
+    this.deltas.removeViewer(entry.clientId);
+    this.members.delete(entry.clientId);
+    entry.roomId = null;
+    if (this.members.size === 0) this.emptySince = Date.now();
+  }
+
+  // Moves a client, and its player with everything it carries, into another room
+  transferClient(entry, targetRoom) {
+    const player = entry.playerId ? this.world.detachPlayer(entry.playerId) : null;
+    if (player) {
+      this.broadcast({ type: 'playerLeft', data: { playerId: player.id } }, entry.clientId);
+    }
+    entry.playerId = null;
+    this.interest.removeViewer(entry.clientId);
+    this.deltas.removeViewer(entry.clientId);
+    this.members.delete(entry.clientId);
+    if (this.members.size === 0) this.emptySince = Date.now();
+
+    targetRoom.addClient(entry);
+    if (player) {
+      targetRoom.world.adoptPlayer(player);
+      targetRoom.attachPlayer(entry, player);
+    } else if (entry.spectator) {
+      // ids are per world, so a followed player cannot be found again
+      targetRoom.setSpectator(entry, { camera: entry.spectator.camera });
+    }
+  }
+
+  // The client's socket dropped; its player stays in the world, standing still, until it resumes or expires
+  suspendClient(entry) {
+    if (entry.playerId) this.world.processPlayerInput(entry.playerId, { keys: [] });
+  }
+
+  // A suspended client is back on a new socket: it gets its room and a fresh baseline of its view
+  resumeClient(entry) {
+    this.sendRoomJoined(entry);
+    if (entry.spectator) {
+      this.updateSpectatorTarget(entry);
+      this.sendSpectating(entry);
+      this.sendBaselineSnapshot(entry);
+      return;
+    }
+    if (!entry.playerId) {
+      // it died while it was away: back to the death screen, over the spot where it happened
+      if (entry.diedAt) {
+        this.sendBaselineSnapshot(entry);
+        this.sendDeath(entry);
+      }
+      return;
+    }
+
+    entry.abilities = '';
+    entry.inventoryVersion = -1;
+    this.sendBaselineSnapshot(entry);
+  }
+
+  spawnPlayer(entry, playerName) {
+    // a client controls a single player; rejoining replaces the previous one
+    if (entry.playerId) this.retirePlayer(entry, 'rejoined');
+
+    entry.spectator = null;
+    const player = this.world.addPlayer(entry.clientId, playerName);
+    entry.playerName = playerName;
+    entry.diedAt = null;
+    entry.death = null;
+    if (entry.rtt) this.world.updatePlayerLatency(player.id, entry.rtt);
+
+    console.log(`[ROOM ${this.id}] Player joined: ${playerName} (${entry.clientId}) as ${player.id} at (${Math.round(player.position.x)},${Math.round(player.position.y)})`);
+    this.attachPlayer(entry, player);
+  }
+
+  // Removes the client's player, keeping the stats of its life (sent to the client if it is still connected)
+  retirePlayer(entry, reason) {
+    const player = this.world.players.get(entry.playerId);
+    if (player) {
+      const stats = player.getStats();
+      this.recordStats(entry, player.id, stats, reason);
+      send(entry.ws, { id: Math.random(), type: 'sessionStats', data: { reason, stats } });
+    }
+    this.world.removePlayer(entry.playerId);
+  }
+
+  recordStats(entry, playerId, stats, reason) {
+    const name = entry.playerName || null;
+    const endedAt = Date.now();
+    this.finishedStats.push({ clientId: entry.clientId, playerId, name, reason, endedAt, ...stats });
+    if (this.finishedStats.length > GameConfig.STATS_HISTORY_SIZE) this.finishedStats.shift();
+
+    if (this.onLifeEnded) this.onLifeEnded(entry, { name, reason, endedAt, stats });
+  }
+
+  attachPlayer(entry, player) {
+    entry.playerId = player.id;
+    entry.abilities = '';
+    entry.inventoryVersion = -1;
+
+    // send world snapshot to the joining client (clientId is the player's id so the client can find itself);
+    // it is the client's initial view, later changes arrive as enterView/leaveView or worldDelta
+    this.sendBaselineSnapshot(entry);
+    send(entry.ws, { id: Math.random(), type: 'leaderboard', data: { entries: this.leaderboard } });
+
+    // announce to others that a new player joined
+    this.broadcast({ id: Math.random(), type: 'playerJoined', data: { playerId: player.id, playerData: player.getPublicData(this.world.clock.now()) } }, entry.clientId);
+  }
+
+  // Watches the room without a player (a living one is retired): following `playerId`, following whoever
+  // leads when that is null or the player is gone, or looking at a fixed `camera` rectangle.
+  // A client that died keeps its diedAt, so it can still respawn.
+  setSpectator(entry, { playerId = null, camera = null } = {}) {
+    if (entry.playerId) {
+      this.retirePlayer(entry, 'spectating');
+      this.broadcast({ type: 'playerLeft', data: { playerId: entry.playerId } }, entry.clientId);
+      entry.playerId = null;
+    }
+
+    entry.spectator = { playerId, camera: camera ? this.clampCamera(camera) : null, mode: null, targetId: null };
+    this.updateSpectatorTarget(entry);
+    this.sendSpectating(entry);
+    this.sendBaselineSnapshot(entry);
+    send(entry.ws, { id: Math.random(), type: 'leaderboard', data: { entries: this.leaderboard } });
+  }
+
+  clampCamera({ x, y, width, height }) {
+    return {
+      x,
+      y,
+      width: Math.min(width, GameConfig.SPECTATOR_MAX_VIEW_SIZE),
+      height: Math.min(height, GameConfig.SPECTATOR_MAX_VIEW_SIZE)
+    };
+  }
+
+  // Picks who a spectator is looking at now; returns true when that changed
+  updateSpectatorTarget(entry) {
+    const spectator = entry.spectator;
+    let mode = 'free';
+    let targetId = null;
+    if (!spectator.camera) {
+      if (spectator.playerId && this.world.players.has(spectator.playerId)) {
+        mode = 'player';
+        targetId = spectator.playerId;
+      } else {
+        const leader = this.world.getLeaderboard(1)[0];
+        mode = 'leader';
+        targetId = leader ? leader.playerId : null;
+      }
+    }
+
+    const changed = mode !== spectator.mode || targetId !== spectator.targetId;
+    spectator.mode = mode;
+    spectator.targetId = targetId;
+    return changed;
+  }
+
+  sendSpectating(entry) {
+    const { mode, targetId, camera } = entry.spectator;
+    send(entry.ws, { id: Math.random(), type: 'spectating', data: { roomId: this.id, mode, playerId: targetId, camera } }, 'critical');
+  }
+
+  // What a spectator's camera covers: the followed player's own view, or the camera rectangle. With nobody
+  // to follow the camera shows the middle of the world.
+  getSpectatorView(entry) {
+    const { camera, targetId } = entry.spectator;
+    if (targetId) return this.world.getVisibleEntities(targetId);
+    return camera ? this.world.getEntitiesInArea(camera) : this.getViewAround(null);
+  }
+
+  // Everything within VISIBILITY_DISTANCE of `position`, or of the middle of the world
+  getViewAround(position) {
+    const size = GameConfig.WORLD_SIZE;
+    const { x, y } = position || { x: size.width / 2, y: size.height / 2 };
+    const distance = GameConfig.VISIBILITY_DISTANCE;
+    return this.world.getEntitiesInArea({ x: x - distance, y: y - distance, width: distance * 2, height: distance * 2 });
+  }
+
+  // Gameplay messages from a member; returns false for types the room does not handle
+  handleMessage(entry, type, data) {
+    switch (type) {
+      case 'respawn': {
+        // Only a dead player can respawn, and not before the death screen has been up long enough
+        if (entry.playerId || !entry.diedAt) return true;
+        if (Date.now() - entry.diedAt < GameConfig.PLAYER_RESPAWN_DELAY) return true;
+        this.spawnPlayer(entry, data.playerName || entry.playerName);
+        return true;
+      }
+
+      case 'input': {
+        // Client sends its held keys, optionally tagged with a sequence number (seq);
+        // the world applies one queued input per simulation tick and acks it in snapshots
+        if (!entry.playerId) return true;
+        this.world.processPlayerInput(entry.playerId, data.input || data);
+        return true;
+      }
+
+      case 'attack': {
+        // targetId is optional; without it the nearest NPC in range is hit
+        if (!entry.playerId) return true;
+        this.world.processPlayerAttack(entry.playerId, data.targetId || null);
+        return true;
+      }
+
+      case 'castAbility': {
+        // data.ability names a GameConfig.ABILITIES entry; data.direction is an optional aim vector
+        if (!entry.playerId) return true;
+        const result = this.world.castAbility(entry.playerId, data.ability, data.direction);
+        if (!result.ok) {
+          send(entry.ws, { id: Math.random(), type: 'abilityFailed', data: { ability: data.ability, reason: result.reason } });
+        }
+        return true;
+      }
+
+      case 'fuse': {
+        // Manual fusion, optionally limited to one essence type and/or rarity
+        if (!entry.playerId) return true;
+        this.world.fuseEssences(entry.playerId, data.essenceType || null, data.rarity || null);
+        return true;
+      }
+
+      case 'chat': {
+        // data.mode is 'room' (default) or 'proximity'
+        const reason = this.chat.post(entry, data.text || '', data.mode || 'room');
+        if (reason) {
+          send(entry.ws, { id: Math.random(), type: 'chatFailed', data: { reason } });
+        }
+        return true;
+      }
+
+      case 'ignore':
+      case 'unignore': {
+        // data.playerId is the player whose chat should be hidden (or shown again)
+        const ignored = type === 'ignore';
+        if (this.chat.setIgnored(entry, data.playerId, ignored)) {
+          send(entry.ws, { id: Math.random(), type: 'ignoreChanged', data: { playerId: data.playerId, ignored } });
+        }
+        return true;
+      }
+
+      case 'resync': {
+        // Delta client missed a tick; replace whatever it has with a fresh baseline
+        if (!entry.playerId && !entry.spectator) return true;
+        console.log(`[ROOM ${this.id}] Resync requested by ${entry.clientId} (last tick ${data.lastTick}, now ${this.world.tick})`);
+        this.sendBaselineSnapshot(entry);
+        return true;
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  updateLatency(entry, rtt) {
+    if (entry.playerId) this.world.updatePlayerLatency(entry.playerId, rtt);
+  }
+
+  broadcast(message, excludeClientId = null) {
+    broadcast(this.members, message, excludeClientId);
+  }
+
+  buildWorldSnapshot(forPlayerId = null, visible = undefined) {
+    return {
+      type: 'worldSnapshot',
+      roomId: this.id,
+      ...this.world.getWorldSnapshot(forPlayerId, visible)
+    };
+  }
+
+  // For a spectator, the player it follows (if any) stands in for its own
+  getViewPlayerId(entry) {
+    return entry.spectator ? entry.spectator.targetId : entry.playerId;
+  }
+
+  // A dead client (neither playing nor spectating) sees where it died
+  updateView(entry) {
+    let visible;
+    if (entry.spectator) {
+      visible = this.getSpectatorView(entry);
+    } else if (!entry.playerId) {
+      visible = this.getViewAround(entry.death ? entry.death.position : null);
+    }
+    return this.interest.update(entry.clientId, this.getViewPlayerId(entry), visible);
+  }
+
+  sendBaselineSnapshot(entry) {
+    this.interest.removeViewer(entry.clientId);
+    const { visible } = this.updateView(entry);
+    this.deltas.setBaseline(entry.clientId, visible);
+    entry.lastSentTick = this.world.tick;
+    send(entry.ws, { id: Math.random(), type: 'worldSnapshot', data: this.buildWorldSnapshot(this.getViewPlayerId(entry), visible) }, 'critical');
+  }
+
+  // Fixed-timestep simulation; snapshots go out every SERVER_TICK_RATE / SNAPSHOT_RATE ticks
+  tick(deltaTime) {
+    if (this.world.tick % getBotIntervalTicks() === 0) this.maintainBots();
+    this.bots.update();
+    this.world.update(deltaTime);
+    this.deltas.collect();
+    this.sendViewEvents();
+    this.handlePlayerDeaths();
+    this.handleViolations();
+    this.updateMatch();
+    if (this.world.tick % getLeaderboardIntervalTicks() === 0) this.sendLeaderboard();
+    if (this.matchEndsAt && this.world.tick % getTeamScoreIntervalTicks() === 0) this.sendTeamScores();
+
+    if (this.world.tick % getSnapshotIntervalTicks() !== 0) return;
+    if (this.recorder) this.recordFrame();
+    this.sendViewUpdates();
+    this.deltas.reset();
+  }
+
+  // Bots fill public rooms while someone is there to see them, and are announced like joining players
+  maintainBots() {
+    const change = this.bots.maintain(this.isPublic && this.members.size > 0);
+    if (!change) return;
+
+    if (change.added) {
+      const player = change.added;
+      console.log(`[ROOM ${this.id}] Bot joined: ${player.name} as ${player.id}`);
+      this.broadcast({ id: Math.random(), type: 'playerJoined', data: { playerId: player.id, playerData: player.getPublicData(this.world.clock.now()) } });
+    } else {
+      this.broadcast({ id: Math.random(), type: 'playerLeft', data: { playerId: change.removed } });
+    }
+  }
+
+  // Starts a match when team mode is switched on, ends the running one when its time is up, and takes players
+  // out of their teams when team mode is switched off
+  updateMatch() {
+    if (!GameConfig.TEAM_MODE) {
+      if (this.matchEndsAt) {
+        this.matchEndsAt = null;
+        this.world.assignTeams();
+      }
+      return;
+    }
+
+    if (!this.matchEndsAt) {
+      this.startMatch();
+    } else if (Date.now() >= this.matchEndsAt) {
+      this.endMatch();
+    }
+  }
+
+  startMatch() {
+    this.matchEndsAt = Date.now() + GameConfig.TEAM_MATCH_DURATION;
+    this.teamScoresKey = '';
+    this.world.assignTeams();
+  }
+
+  // The best team wins (none when the top scores tie), then everyone starts over in a reset world
+  endMatch() {
+    const scores = this.world.getTeamScores();
+    const winner = scores.length > 0 && scores[0].score > 0 && (scores.length === 1 || scores[0].score > scores[1].score)
+      ? scores[0].team
+      : null;
+    console.log(`[ROOM ${this.id}] Match over, winner: ${winner || 'none'} (${scores.map(entry => `${entry.team} ${entry.score}`).join(', ')})`);
+    this.broadcast({ id: Math.random(), type: 'matchEnded', data: { winner, scores } });
+
+    this.world.resetMatch();
+    this.deltas.reset();
+    this.startMatch();
+    this.members.forEach((entry) => {
+      if (entry.disconnectedAt || (!entry.playerId && !entry.spectator)) return;
+      entry.inventoryVersion = -1;
+      this.sendBaselineSnapshot(entry);
+    });
+    this.sendTeamScores();
+    this.sendLeaderboard();
+  }
+
+  getMatchState() {
+    if (!this.matchEndsAt) return null;
+    return { endsAt: this.matchEndsAt, teams: this.world.getTeamScores() };
+  }
+
+  // Like the leaderboard, only sent when a score or team size changed
+  sendTeamScores() {
+    const match = this.getMatchState();
+    const key = JSON.stringify(match.teams);
+    if (key === this.teamScoresKey) return;
+
+    this.teamScoresKey = key;
+    this.broadcast({ id: Math.random(), type: 'teamScores', data: match });
+  }
+
+  // Consumed players lose control of their entity and get the death screen
+  handlePlayerDeaths() {
+    this.world.getDeltaUpdates().forEach((delta) => {
+      if (delta.type !== 'playerKilled') return;
+
+      const entry = this.members.get(delta.clientId);
+      if (!entry || entry.playerId !== delta.playerId) return;
+
+      entry.playerId = null;
+      entry.diedAt = Date.now();
+      // kept for a client that was away to get its death screen when it resumes
+      entry.death = {
+        killerId: delta.killerId,
+        killerName: delta.killerName,
+        essenceCount: delta.essenceCount,
+        stats: delta.stats,
+        position: delta.position
+      };
+      this.recordStats(entry, delta.playerId, delta.stats, 'died');
+      console.log(`[ROOM ${this.id}] Player died: ${entry.playerName} (${delta.clientId}) eaten by ${delta.killerName || delta.killerId}`);
+      this.sendDeath(entry);
+    });
+  }
+
+  // respawnDelay is what is left of PLAYER_RESPAWN_DELAY since diedAt
+  sendDeath(entry) {
+    const { position, ...death } = entry.death || {};
+    send(entry.ws, {
+      id: Math.random(),
+      type: 'death',
+      data: {
+        ...death,
+        diedAt: entry.diedAt,
+        respawnDelay: Math.max(0, GameConfig.PLAYER_RESPAWN_DELAY - (Date.now() - entry.diedAt))
+      }
+    }, 'critical');
+  }
+
+  handleViolations() {
+    if (!this.onViolation) return;
+    this.world.getDeltaUpdates().forEach((delta) => {
+      if (delta.type !== 'violation') return;
+      const entry = this.members.get(delta.clientId);
+      if (entry) this.onViolation(entry, delta.kind, delta.detail);
+    });
+  }
+
+  sendViewEvents() {
+    this.world.getDeltaUpdates().forEach((delta) => {
+      const subjectKey = VIEW_EVENTS[delta.type];
+      if (!subjectKey) return;
+
+      // stats are only for the player that died, in its 'death' message
+      const { type, timestamp, stats, ...data } = delta;
+      if (this.recorder) this.recorder.recordEvent(type, delta[subjectKey], data);
+      this.members.forEach((entry, clientId) => {
+        if ((!entry.playerId && !entry.spectator) || !this.interest.knows(clientId, delta[subjectKey])) return;
+        send(entry.ws, { id: Math.random(), type, data });
+      });
+    });
+  }
+
+  // Pushed at LEADERBOARD_INTERVAL, and only when the ranking or a listed score changed
+  sendLeaderboard() {
+    const leaderboard = this.world.getLeaderboard();
+    const key = JSON.stringify(leaderboard);
+    if (key === this.leaderboardKey) return;
+
+    this.leaderboard = leaderboard;
+    this.leaderboardKey = key;
+    this.broadcast({ id: Math.random(), type: 'leaderboard', data: { entries: leaderboard } });
+  }
+
+  sendInventoryUpdates(entry) {
+    const player = this.world.players.get(entry.playerId);
+    if (!player || player.inventoryVersion === entry.inventoryVersion) return;
+
+    entry.inventoryVersion = player.inventoryVersion;
+    send(entry.ws, { id: Math.random(), type: 'inventoryChanged', data: player.getInventory() });
+    this.sendAbilityUpdates(entry, player);
+  }
+
+  sendAbilityUpdates(entry, player) {
+    const abilities = this.world.abilities.getUnlockedAbilities(player);
+    if (abilities.join() === entry.abilities) return;
+    entry.abilities = abilities.join();
+    send(entry.ws, { id: Math.random(), type: 'abilitiesChanged', data: { abilities } });
+  }
+
+  // Send every joined client the part of the world within its VISIBILITY_DISTANCE, and every spectator its camera's view
+  sendViewUpdates() {
+    this.members.forEach((entry) => {
+      if (entry.disconnectedAt) return;
+
+      if (entry.spectator) {
+        if (this.updateSpectatorTarget(entry)) this.sendSpectating(entry);
+      } else if (entry.playerId) {
+        this.sendInventoryUpdates(entry);
+      } else {
+        return;
+      }
+
+      const playerId = this.getViewPlayerId(entry);
+      const view = this.updateView(entry);
+      if (entry.snapshotMode === 'delta') {
+        // baseTick lets the client detect a gap and ask for a resync
+        send(entry.ws, { id: Math.random(), type: 'worldDelta', data: this.deltas.build(view, entry.lastSentTick, playerId, entry.clientId) });
+        entry.lastSentTick = this.world.tick;
+        return;
+      }
+
+      const { visible, entered, left } = view;
+      if (this.interest.hasEntered(entered)) {
+        send(entry.ws, { id: Math.random(), type: 'enterView', data: entered });
+      }
+      if (left.length > 0) {
+        send(entry.ws, { id: Math.random(), type: 'leaveView', data: { entityIds: left } });
+      }
+      send(entry.ws, { id: Math.random(), type: 'worldSnapshot', data: this.buildWorldSnapshot(playerId, visible) });
+    });
+  }
+
+  // Saved room for a server restart: the world, chat and the sessions of its members
+  serialize() {
+    return {
+      id: this.id,
+      isPublic: this.isPublic,
+      maxPlayers: this.maxPlayers,
+      world: this.world.serialize(),
+      matchEndsAt: this.matchEndsAt,
+      chatHistory: this.chat.getHistory(),
+      members: Array.from(this.members.values())
+        .filter(entry => entry.sessionToken)
+        .map(entry => ({
+          clientId: entry.clientId,
+          sessionToken: entry.sessionToken,
+          playerId: entry.playerId,
+          playerName: entry.playerName || null,
+          snapshotMode: entry.snapshotMode || 'full',
+          profileId: entry.profileId || null,
+          diedAt: entry.diedAt || null,
+          death: entry.death || null,
+          spectator: entry.spectator ? { playerId: entry.spectator.playerId, camera: entry.spectator.camera } : null,
+          violations: entry.violations || {}
+        }))
+    };
+  }
+
+  // createEntry(memberState) builds a disconnected client entry that can later be resumed
+  restoreState(state, createEntry) {
+    this.world.restoreState(state.world);
+    this.bots.adoptExisting();
+    this.matchEndsAt = state.matchEndsAt || null;
+    this.chat.history = state.chatHistory.slice();
+    return state.members.map((member) => {
+      const entry = createEntry(member);
+      entry.roomId = this.id;
+      this.members.set(entry.clientId, entry);
+      return entry;
+    });
+  }
+
+  getSummary() {
+    return {
+      id: this.id,
+      isPublic: this.isPublic,
+      players: this.world.players.size,
+      bots: this.bots.count(),
+      clients: this.members.size,
+      spectators: this.getSpectatorCount(),
+      maxPlayers: this.maxPlayers,
+      tick: this.world.tick,
+      replayId: this.replayId,
+      match: this.getMatchState()
+    };
+  }
+
+  getPlayerList() {
+    return Array.from(this.members.values()).map((entry) => {
+      const player = entry.playerId ? this.world.players.get(entry.playerId) : null;
+      return {
+        clientId: entry.clientId,
+        playerId: entry.playerId,
+        name: entry.playerName || null,
+        alive: Boolean(player),
+        spectating: Boolean(entry.spectator),
+        essenceCount: player ? player.essences.length : 0,
+        power: player ? player.power : 0,
+        position: player ? { x: Math.round(player.position.x), y: Math.round(player.position.y) } : null,
+        rtt: entry.rtt || null,
+        connected: !entry.disconnectedAt
+      };
+    });
+  }
+
+  // Live stats of everyone playing, plus recently finished lives
+  getPlayerStats() {
+    const live = [];
+    this.members.forEach((entry) => {
+      const player = entry.playerId ? this.world.players.get(entry.playerId) : null;
+      if (!player) return;
+      live.push({ clientId: entry.clientId, playerId: player.id, name: player.name, ...player.getStats() });
+    });
+    return { live, finished: this.finishedStats };
+  }
+
+  getStats() {
+    return {
+      ...this.getSummary(),
+      timing: this.gameLoop.getStats(),
+      entities: this.world.getEntityCounts()
+    };
+  }
+}
+
+module.exports = { Room };
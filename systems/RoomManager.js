@@ -0,0 +1,159 @@
+const { Room } = require('./Room');
+const { GameConfig } = require('../config/GameConfig');
+
+const ROOM_CODE_PATTERN = /^[A-Za-z0-9_-]{1,16}$/;
+
+function makeRoomCode() {
+  return Math.random().toString(36).slice(2, 8).toUpperCase();
+}
+
+// Runs several rooms: matchmaking for joins, closing rooms that stay empty and merging sparse public rooms
+class RoomManager {
+  // roomOptions are passed to every Room, e.g. { onViolation, replayDir }
+  constructor(roomOptions = {}) {
+    this.roomOptions = roomOptions;
+    this.rooms = new Map();
+    this.maintenanceTimer = null;
+  }
+
+  start() {
+    if (this.maintenanceTimer) return;
+    this.maintenanceTimer = setInterval(() => this.maintain(), GameConfig.ROOM_MAINTENANCE_INTERVAL);
+  }
+
+  // Resolves once every room's recording is written out
+  stop() {
+    clearInterval(this.maintenanceTimer);
+    this.maintenanceTimer = null;
+    return Promise.all(Array.from(this.rooms.values()).map(room => room.stop()));
+  }
+
+  getRoom(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  createRoom(roomId, options = {}) {
+    const room = new Room(roomId, { ...this.roomOptions, ...options });
+    this.rooms.set(roomId, room);
+    room.start();
+    console.log(`[ROOMS] Created ${room.isPublic ? 'public' : 'private'} room ${roomId}`);
+    return room;
+  }
+
+  closeRoom(room) {
+    room.stop();
+    this.rooms.delete(room.id);
+    console.log(`[ROOMS] Closed room ${room.id}`);
+  }
+
+  // Named rooms (party codes) are private and created on first use; otherwise the least full public room wins
+  findRoom(entry, roomCode = null) {
+    if (roomCode) {
+      if (!ROOM_CODE_PATTERN.test(roomCode)) return { error: 'invalidRoomCode' };
+
+      const existing = this.rooms.get(roomCode);
+      if (existing) {
+        if (existing.isFull() && !existing.holdsPlayerSlot(entry)) return { error: 'roomFull' };
+        return { room: existing };
+      }
+      if (this.rooms.size >= GameConfig.MAX_ROOMS) return { error: 'serverFull' };
+      return { room: this.createRoom(roomCode, { isPublic: false }) };
+    }
+
+    let best = null;
+    this.rooms.forEach((room) => {
+      if (!room.isPublic) return;
+      if (room.isFull() && !room.holdsPlayerSlot(entry)) return;
+      if (!best || room.getPlayerCount() < best.getPlayerCount()) best = room;
+    });
+    if (best) return { room: best };
+
+    if (this.rooms.size >= GameConfig.MAX_ROOMS) return { error: 'serverFull' };
+    let code = makeRoomCode();
+    while (this.rooms.has(code)) code = makeRoomCode();
+    return { room: this.createRoom(code) };
+  }
+
+  join(entry, roomCode, playerName) {
+    const { room, error } = this.findRoom(entry, roomCode);
+    if (!room) return { error };
+
+    if (entry.roomId !== room.id) {
+      this.leave(entry);
+      room.addClient(entry);
+    }
+    room.spawnPlayer(entry, playerName);
+    return { room };
+  }
+
+  // Spectating never creates a room: a named one, else the client's own, else the busiest public room
+  spectate(entry, roomCode, options) {
+    let room = roomCode ? this.getRoom(roomCode) : this.getRoom(entry.roomId);
+    if (!room && !roomCode) {
+      this.rooms.forEach((candidate) => {
+        if (candidate.isPublic && (!room || candidate.getPlayerCount() > room.getPlayerCount())) room = candidate;
+      });
+    }
+    if (!room) return { error: 'roomNotFound' };
+    if (!room.canSpectate(entry)) return { error: 'roomFull' };
+
+    if (entry.roomId !== room.id) {
+      this.leave(entry);
+      room.addClient(entry);
+    }
+    room.setSpectator(entry, options);
+    return { room };
+  }
+
+  leave(entry) {
+    const room = this.getRoom(entry.roomId);
+    if (room) room.removeClient(entry);
+  }
+
+  serialize() {
+    return { rooms: Array.from(this.rooms.values()).map(room => room.serialize()) };
+  }
+
+  // Recreates saved rooms; returns the restored client entries (see Room.restoreState)
+  restore(state, createEntry) {
+    const entries = [];
+    state.rooms.forEach((roomState) => {
+      const room = this.createRoom(roomState.id, { isPublic: roomState.isPublic, maxPlayers: roomState.maxPlayers });
+      entries.push(...room.restoreState(roomState, createEntry));
+    });
+    return entries;
+  }
+
+  listRooms() {
+    return Array.from(this.rooms.values()).map(room => room.getSummary());
+  }
+
+  maintain() {
+    const now = Date.now();
+    this.rooms.forEach((room) => {
+      if (room.members.size === 0 && now - room.emptySince >= GameConfig.ROOM_IDLE_TIMEOUT) {
+        this.closeRoom(room);
+      }
+    });
+
+    this.mergeSparseRooms();
+  }
+
+  // Moves everyone from the emptiest sparse public room into the fullest sparse room that can take them
+  mergeSparseRooms() {
+    const sparse = Array.from(this.rooms.values())
+      .filter(room => room.isPublic && room.members.size > 0 && room.getPlayerCount() < GameConfig.ROOM_MERGE_THRESHOLD)
+      .sort((a, b) => a.getPlayerCount() - b.getPlayerCount());
+
+    while (sparse.length >= 2) {
+      const source = sparse.shift();
+      const target = sparse.slice().reverse().find(room => room.getPlayerCount() + source.getPlayerCount() <= room.maxPlayers);
+      if (!target) continue;
+
+      console.log(`[ROOMS] Merging room ${source.id} (${source.members.size}) into ${target.id} (${target.members.size})`);
+      Array.from(source.members.values()).forEach(entry => source.transferClient(entry, target));
+    }
+  }
+}
+
+module.exports = { RoomManager };
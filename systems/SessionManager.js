@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { GameConfig } = require('../config/GameConfig');
+
+// Resumable sessions: every client entry gets a secret token in 'init'. When a socket drops, the entry
+// (and its player) is held for RECONNECT_GRACE_PERIOD so a new socket presenting the token can take it over.
+class SessionManager {
+  // onExpire(entry) runs when a held session is not resumed in time
+  constructor({ onExpire }) {
+    this.onExpire = onExpire;
+    this.tokens = new Map();
+  }
+
+  issue(entry) {
+    if (entry.sessionToken) this.tokens.delete(entry.sessionToken);
+    entry.sessionToken = crypto.randomBytes(16).toString('hex');
+    this.tokens.set(entry.sessionToken, entry);
+    return entry.sessionToken;
+  }
+
+  find(token) {
+    return typeof token === 'string' ? this.tokens.get(token) || null : null;
+  }
+
+  // Registers a token saved before a restart; the entry starts out disconnected
+  restore(entry, token) {
+    entry.sessionToken = token;
+    this.tokens.set(token, entry);
+    this.suspend(entry);
+  }
+
+  suspend(entry) {
+    entry.disconnectedAt = Date.now();
+    clearTimeout(entry.resumeTimer);
+    entry.resumeTimer = setTimeout(() => {
+      this.discard(entry);
+      this.onExpire(entry);
+    }, GameConfig.RECONNECT_GRACE_PERIOD);
+  }
+
+  // Takes a session off hold; the token is replaced so an old one cannot be used twice
+  resume(entry) {
+    clearTimeout(entry.resumeTimer);
+    entry.resumeTimer = null;
+    entry.disconnectedAt = null;
+    return this.issue(entry);
+  }
+
+  discard(entry) {
+    clearTimeout(entry.resumeTimer);
+    entry.resumeTimer = null;
+    if (this.tokens.get(entry.sessionToken) === entry) this.tokens.delete(entry.sessionToken);
+  }
+}
+
+module.exports = { SessionManager };
@@ -0,0 +1,94 @@
+// Fixed-size ring buffer of recent entity positions, one frame per simulation tick.
+// Frames store positions in a flat Float32Array (x, y, radius) indexed through a Map of ids.
+class WorldHistory {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.frames = new Array(capacity);
+    this.head = 0;
+    this.size = 0;
+  }
+
+  record(tick, time, entityMaps) {
+    let count = 0;
+    entityMaps.forEach((entities) => {
+      count += entities.size;
+    });
+
+    const index = new Map();
+    const data = new Float32Array(count * 3);
+    let offset = 0;
+    entityMaps.forEach((entities) => {
+      entities.forEach((entity) => {
+        index.set(entity.id, offset);
+        data[offset] = entity.position.x;
+        data[offset + 1] = entity.position.y;
+        data[offset + 2] = entity.radius;
+        offset += 3;
+      });
+    });
+
+    this.frames[this.head] = { tick, time, index, data };
+    this.head = (this.head + 1) % this.capacity;
+    this.size = Math.min(this.size + 1, this.capacity);
+  }
+
+  // 0 is the oldest frame still held
+  getFrame(i) {
+    if (i < 0 || i >= this.size) return null;
+    return this.frames[(this.head - this.size + i + this.capacity) % this.capacity];
+  }
+
+  getOldest() {
+    return this.getFrame(0);
+  }
+
+  getNewest() {
+    return this.getFrame(this.size - 1);
+  }
+
+  readEntity(frame, entityId) {
+    const offset = frame.index.get(entityId);
+    if (offset === undefined) return null;
+    return {
+      x: frame.data[offset],
+      y: frame.data[offset + 1],
+      radius: frame.data[offset + 2]
+    };
+  }
+
+  // Position of an entity at the given time, interpolated between the two surrounding frames
+  getPositionAt(entityId, time) {
+    if (this.size === 0) return null;
+
+    const oldest = this.getOldest();
+    if (time <= oldest.time) return this.readEntity(oldest, entityId);
+
+    for (let i = this.size - 1; i > 0; i--) {
+      const after = this.getFrame(i);
+      const before = this.getFrame(i - 1);
+      if (time < before.time) continue;
+
+      const a = this.readEntity(before, entityId);
+      const b = this.readEntity(after, entityId);
+      if (!a || !b) return b || a;
+
+      const span = after.time - before.time;
+      const t = span > 0 ? Math.min(1, (time - before.time) / span) : 1;
+      return {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        radius: a.radius + (b.radius - a.radius) * t
+      };
+    }
+
+    return this.readEntity(this.getNewest(), entityId);
+  }
+
+  clear() {
+    this.frames = new Array(this.capacity);
+    this.head = 0;
+    this.size = 0;
+  }
+}
+
+module.exports = { WorldHistory };
@@ -0,0 +1,90 @@
+/**
+ * Headless simulation: runs a seeded GameWorld for a number of ticks with scripted bots, checks the
+ * world's invariants after every tick and prints a summary with a fingerprint of the final world.
+ *
+ *   node tools/simulate.js [--seed 1] [--ticks 1800] [--bots forager,wanderer,circle,idle]
+ *                          [--expect <fingerprint>] [--twice]
+ *
+ * --expect fails unless the final world has that fingerprint; --twice runs the same simulation again
+ * and fails unless both runs end identically. Exits with 1 on any failure.
+ * GAME_MODE_FILE and the GAME_* env vars apply as they do for the server (.env is not read).
+ */
+
+const { loadConfig } = require('../config/loadConfig');
+try {
+  loadConfig();
+} catch (err) {
+  console.error('[CONFIG]', err.message);
+  process.exit(1);
+}
+
+const { HeadlessRunner, BOT_SCRIPTS } = require('../systems/HeadlessRunner');
+
+function parseArgs(argv) {
+  const options = { seed: '1', ticks: 1800, bots: 'forager,wanderer,circle,idle', expect: null, twice: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--twice') {
+      options.twice = true;
+    } else if (['--seed', '--ticks', '--bots', '--expect'].includes(arg) && i + 1 < argv.length) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unknown argument "${arg}"`);
+    }
+  }
+
+  options.ticks = Number(options.ticks);
+  if (!Number.isInteger(options.ticks) || options.ticks < 1) throw new Error('--ticks must be a positive integer');
+  // Numeric seeds are used as numbers, anything else is hashed
+  options.seed = /^\d+$/.test(options.seed) ? Number(options.seed) : options.seed;
+  options.bots = options.bots.split(',').filter(Boolean).map((script, index) => {
+    if (!BOT_SCRIPTS[script]) throw new Error(`Unknown bot script "${script}", expected one of ${Object.keys(BOT_SCRIPTS).join(', ')}`);
+    return { name: `${script}-${index + 1}`, script };
+  });
+  return options;
+}
+
+function simulate(options) {
+  const runner = new HeadlessRunner({ seed: options.seed, bots: options.bots });
+  const startedAt = Date.now();
+  const result = runner.run(options.ticks);
+  return { ...result, summary: runner.getSummary(), elapsedMs: Date.now() - startedAt };
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error('[SIM]', err.message);
+    return 1;
+  }
+
+  const first = simulate(options);
+  console.log(`[SIM] Seed ${options.seed}: ${first.tick} ticks in ${first.elapsedMs}ms`);
+  console.log(JSON.stringify(first.summary, null, 2));
+
+  if (!first.ok) {
+    console.error(`[SIM] Invariants broken at tick ${first.tick}:`);
+    first.problems.forEach(problem => console.error(`  - ${problem}`));
+    return 1;
+  }
+
+  if (options.expect && first.summary.fingerprint !== options.expect) {
+    console.error(`[SIM] Fingerprint ${first.summary.fingerprint} does not match the expected ${options.expect}`);
+    return 1;
+  }
+
+  if (options.twice) {
+    const second = simulate(options);
+    if (second.summary.fingerprint !== first.summary.fingerprint) {
+      console.error(`[SIM] Not deterministic: the second run ended with ${second.summary.fingerprint}`);
+      return 1;
+    }
+    console.log('[SIM] Second run ended identically');
+  }
+
+  return 0;
+}
+
+process.exitCode = main();
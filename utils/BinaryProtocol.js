@@ -0,0 +1,298 @@
+const { GameConfig } = require('../config/GameConfig');
+
+// Server -> client packet codes. Anything without a code goes out as a JSON text frame.
+const ServerPacket = {
+  worldSnapshot: 1,
+  worldDelta: 2,
+  enterView: 3,
+  leaveView: 4
+};
+
+// Client -> server packet codes. Kept below 0x20 so they never collide with a JSON '{'.
+const ClientPacket = {
+  input: 1
+};
+
+const KEY_BITS = [
+  ['w', 'ArrowUp'],
+  ['s', 'ArrowDown'],
+  ['a', 'ArrowLeft'],
+  ['d', 'ArrowRight']
+];
+
+// Bit per flag in a player's flags byte
+const PLAYER_FLAGS = ['shielded', 'bot'];
+
+// Velocities go out as int16 * VELOCITY_SCALE, so anything faster than MAX_WIRE_VELOCITY px/s would be
+// clamped; config validation keeps speeds below it
+const VELOCITY_SCALE = 10;
+const MAX_WIRE_VELOCITY = 0x7fff / VELOCITY_SCALE;
+const RADIUS_SCALE = 100;
+const ROTATION_SCALE = 32767 / Math.PI;
+
+function getPositionScale() {
+  const largest = Math.max(GameConfig.WORLD_SIZE.width, GameConfig.WORLD_SIZE.height);
+  return Math.max(1, Math.floor(32767 / largest));
+}
+
+// Everything a client needs to decode binary packets, sent in the handshake ack
+function getBinaryLayout() {
+  return {
+    serverPackets: ServerPacket,
+    clientPackets: ClientPacket,
+    keyBits: KEY_BITS.map(keys => keys[0]),
+    playerFlags: PLAYER_FLAGS,
+    positionScale: getPositionScale(),
+    velocityScale: VELOCITY_SCALE,
+    radiusScale: RADIUS_SCALE,
+    rotationScale: ROTATION_SCALE,
+    essenceTypes: GameConfig.ESSENCE_TYPES,
+    essenceRarities: GameConfig.ESSENCE_RARITIES,
+    npcTypes: Object.keys(GameConfig.NPC_ARCHETYPES)
+  };
+}
+
+// Entity ids are 'entity_<n>' on the server and plain <n> on the wire
+function toWireId(entityId) {
+  if (!entityId) return 0;
+  const numeric = parseInt(String(entityId).replace(/^\D+/, ''), 10);
+  return Number.isFinite(numeric) ? numeric : 0;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, Math.round(value || 0)));
+}
+
+class BinaryWriter {
+  constructor(initialSize = 1024) {
+    this.buffer = Buffer.allocUnsafe(initialSize);
+    this.offset = 0;
+  }
+
+  ensure(bytes) {
+    if (this.offset + bytes <= this.buffer.length) return;
+    const grown = Buffer.allocUnsafe(Math.max(this.buffer.length * 2, this.offset + bytes));
+    this.buffer.copy(grown, 0, 0, this.offset);
+    this.buffer = grown;
+  }
+
+  uint8(value) {
+    this.ensure(1);
+    this.buffer.writeUInt8(clamp(value, 0, 0xff), this.offset);
+    this.offset += 1;
+  }
+
+  uint16(value) {
+    this.ensure(2);
+    this.buffer.writeUInt16LE(clamp(value, 0, 0xffff), this.offset);
+    this.offset += 2;
+  }
+
+  int16(value) {
+    this.ensure(2);
+    this.buffer.writeInt16LE(clamp(value, -0x8000, 0x7fff), this.offset);
+    this.offset += 2;
+  }
+
+  uint32(value) {
+    this.ensure(4);
+    this.buffer.writeUInt32LE(clamp(value, 0, 0xffffffff), this.offset);
+    this.offset += 4;
+  }
+
+  string(value) {
+    const bytes = Buffer.from(String(value || ''), 'utf8').subarray(0, 0xff);
+    this.uint8(bytes.length);
+    this.ensure(bytes.length);
+    bytes.copy(this.buffer, this.offset);
+    this.offset += bytes.length;
+  }
+
+  position(position) {
+    const scale = getPositionScale();
+    this.int16(position.x * scale);
+    this.int16(position.y * scale);
+  }
+
+  velocity(velocity) {
+    this.int16(velocity.x * VELOCITY_SCALE);
+    this.int16(velocity.y * VELOCITY_SCALE);
+  }
+
+  rotation(rotation) {
+    this.int16(rotation * ROTATION_SCALE);
+  }
+
+  radius(radius) {
+    this.uint16(radius * RADIUS_SCALE);
+  }
+
+  toBuffer() {
+    return this.buffer.subarray(0, this.offset);
+  }
+}
+
+function writePlayer(writer, player) {
+  writer.uint32(toWireId(player.id));
+  writer.position(player.position);
+  writer.velocity(player.velocity);
+  writer.rotation(player.rotation);
+  writePlayerState(writer, player);
+  writer.string(player.name);
+}
+
+// Also what a worldDelta's `changed` carries per player
+function writePlayerState(writer, player) {
+  writer.radius(player.radius);
+  writer.uint16(player.essenceCount);
+  writer.uint32(player.power);
+  writer.uint16(player.health);
+  writer.uint16(player.mana);
+  writer.uint16(player.maxMana);
+  writer.uint8(PLAYER_FLAGS.reduce((flags, flag, bit) => (player[flag] ? flags | (1 << bit) : flags), 0));
+  // team as an index into essenceTypes, 255 for none
+  writer.uint8(player.team ? GameConfig.ESSENCE_TYPES.indexOf(player.team) : 255);
+}
+
+function writeEssence(writer, essence) {
+  writer.uint32(toWireId(essence.id));
+  writer.position(essence.position);
+  writer.uint8(GameConfig.ESSENCE_TYPES.indexOf(essence.type));
+  writer.uint8(GameConfig.ESSENCE_RARITIES.indexOf(essence.rarity));
+  writer.uint8(essence.level);
+  writer.radius(essence.radius);
+}
+
+function writeNPC(writer, npc) {
+  writer.uint32(toWireId(npc.id));
+  writer.uint8(Object.keys(GameConfig.NPC_ARCHETYPES).indexOf(npc.type));
+  writer.position(npc.position);
+  writer.rotation(npc.rotation);
+  writeNPCState(writer, npc);
+}
+
+function writeNPCState(writer, npc) {
+  writer.radius(npc.radius);
+  writer.uint16(npc.health);
+  writer.uint16(npc.maxHealth);
+}
+
+function writeList(writer, list, writeItem) {
+  writer.uint16(list.length);
+  list.forEach(item => writeItem(writer, item));
+}
+
+function writeEntityGroups(writer, groups) {
+  writeList(writer, groups.players, writePlayer);
+  writeList(writer, groups.essences, writeEssence);
+  writeList(writer, groups.npcs, writeNPC);
+}
+
+function writeIds(writer, ids) {
+  writeList(writer, ids, (w, id) => w.uint32(toWireId(id)));
+}
+
+const encoders = {
+  worldSnapshot(writer, data) {
+    writer.uint32(data.tick);
+    writer.uint32(toWireId(data.clientId));
+    writer.uint32(data.lastProcessedInput);
+    writeEntityGroups(writer, data);
+  },
+
+  worldDelta(writer, data) {
+    writer.uint32(data.tick);
+    writer.uint32(data.baseTick);
+    writer.uint8(data.self ? 1 : 0);
+    if (data.self) {
+      writer.uint32(data.self.lastProcessedInput);
+      writer.position(data.self.position);
+      writer.velocity(data.self.velocity);
+      writer.rotation(data.self.rotation);
+      writer.radius(data.self.radius);
+      writer.uint16(data.self.essenceCount);
+      writer.uint32(data.self.power);
+      writer.uint16(data.self.health);
+      writer.uint16(data.self.mana);
+      writer.uint16(data.self.maxMana);
+    }
+    writeEntityGroups(writer, data.entered);
+    writeIds(writer, data.left);
+    writeList(writer, data.moved, (w, moved) => {
+      w.uint32(toWireId(moved.id));
+      w.position(moved.position);
+      w.velocity(moved.velocity);
+      w.rotation(moved.rotation);
+      w.radius(moved.radius);
+    });
+    writeList(writer, data.changed.players, (w, state) => {
+      w.uint32(toWireId(state.id));
+      writePlayerState(w, state);
+    });
+    writeList(writer, data.changed.npcs, (w, state) => {
+      w.uint32(toWireId(state.id));
+      writeNPCState(w, state);
+    });
+    writeList(writer, data.collected, (w, event) => {
+      w.uint32(toWireId(event.playerId));
+      w.uint32(toWireId(event.essenceId));
+      w.uint16(event.essenceCount);
+    });
+  },
+
+  enterView(writer, data) {
+    writeEntityGroups(writer, data);
+  },
+
+  leaveView(writer, data) {
+    writeIds(writer, data.entityIds);
+  }
+};
+
+// Returns a Buffer for packet types that have a binary layout, null otherwise
+function encodePacket(message) {
+  const encode = encoders[message.type];
+  if (!encode) return null;
+
+  const writer = new BinaryWriter();
+  writer.uint8(ServerPacket[message.type]);
+  encode(writer, message.data);
+  return writer.toBuffer();
+}
+
+// Returns a { type, data } message for binary client frames, null if the frame is not understood
+function decodeClientPacket(buffer) {
+  if (!buffer || buffer.length === 0) return null;
+
+  switch (buffer[0]) {
+    case ClientPacket.input: {
+      // [code][key mask] with an optional trailing uint32 sequence number
+      if (buffer.length < 2) return null;
+      const mask = buffer[1];
+      const keys = [];
+      KEY_BITS.forEach((names, bit) => {
+        if (mask & (1 << bit)) keys.push(names[0]);
+      });
+      const data = { keys };
+      if (buffer.length >= 6) data.seq = buffer.readUInt32LE(2);
+      return { type: 'input', data };
+    }
+    default:
+      return null;
+  }
+}
+
+function isBinaryPacket(buffer) {
+  return buffer.length > 0 && buffer[0] < 0x20;
+}
+
+module.exports = {
+  ServerPacket,
+  ClientPacket,
+  MAX_WIRE_VELOCITY,
+  getBinaryLayout,
+  toWireId,
+  encodePacket,
+  decodeClientPacket,
+  isBinaryPacket
+};
@@ -0,0 +1,24 @@
+// Where the simulation reads the time from. Live rooms use the system clock; headless runs
+// use a ManualClock that only moves when it is advanced, so timers behave the same on every run.
+const systemClock = {
+  now() {
+    return Date.now();
+  }
+};
+
+class ManualClock {
+  constructor(start = 0) {
+    this.time = start;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  advance(ms) {
+    this.time += ms;
+    return this.time;
+  }
+}
+
+module.exports = { systemClock, ManualClock };
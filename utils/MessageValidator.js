@@ -0,0 +1,148 @@
+const { sanitizeName } = require('./TextFilter');
+
+const MOVEMENT_KEYS = ['w', 'a', 's', 'd', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+const MAX_ID_LENGTH = 32;
+
+// Field checks: each returns { value } (undefined drops the field) or { error }
+const field = {
+  string: maxLength => value => (
+    typeof value === 'string' && value.length <= maxLength ? { value } : { error: `expected a string of at most ${maxLength} characters` }
+  ),
+  number: () => value => (
+    typeof value === 'number' && Number.isFinite(value) ? { value } : { error: 'expected a finite number' }
+  ),
+  integer: (min, max) => value => (
+    Number.isInteger(value) && value >= min && value <= max ? { value } : { error: `expected an integer in ${min}..${max}` }
+  ),
+  oneOf: (...options) => value => (
+    options.includes(value) ? { value } : { error: `expected one of ${options.join(', ')}` }
+  ),
+  // Unknown keys are dropped rather than rejected so clients can send whatever they hold
+  keys: () => (value) => {
+    if (!Array.isArray(value) || value.length > 16) return { error: 'expected an array of at most 16 keys' };
+    return { value: Array.from(new Set(value.filter(key => MOVEMENT_KEYS.includes(key)))) };
+  },
+  vector: () => (value) => {
+    if (value === null || typeof value !== 'object') return { error: 'expected { x, y }' };
+    const { x, y } = value;
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return { error: 'expected finite x and y' };
+    return { value: { x, y } };
+  },
+  // { x, y, width, height } with a positive size
+  rect: () => (value) => {
+    if (value === null || typeof value !== 'object') return { error: 'expected { x, y, width, height }' };
+    const { x, y, width, height } = value;
+    if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+      return { error: 'expected finite x and y and a positive width and height' };
+    }
+    return { value: { x, y, width, height } };
+  },
+  // An unusable or offensive name is dropped, falling back to the default
+  name: () => (value) => {
+    if (typeof value !== 'string' || value.length > 64) return { error: 'expected a string of at most 64 characters' };
+    return { value: sanitizeName(value) || undefined };
+  }
+};
+
+// Accepted client messages and their fields; every field is optional, anything not listed is dropped
+const SCHEMAS = {
+  join: {
+    playerName: field.name(),
+    name: field.name(),
+    roomCode: field.string(16),
+    snapshotMode: field.oneOf('full', 'delta'),
+    // client-generated secret identifying a persistent profile
+    profileToken: field.string(64)
+  },
+  resume: {
+    sessionToken: field.string(64)
+  },
+  handshake: {
+    encoding: field.oneOf('json', 'binary')
+  },
+  ping: {
+    clientTime: field.number()
+  },
+  pong: {
+    serverTime: field.number()
+  },
+  respawn: {
+    playerName: field.name()
+  },
+  input: {
+    keys: field.keys(),
+    seq: field.integer(0, 0xFFFFFFFF)
+  },
+  attack: {
+    targetId: field.string(MAX_ID_LENGTH)
+  },
+  castAbility: {
+    ability: field.string(MAX_ID_LENGTH),
+    direction: field.vector()
+  },
+  fuse: {
+    essenceType: field.string(MAX_ID_LENGTH),
+    rarity: field.string(MAX_ID_LENGTH)
+  },
+  chat: {
+    // the chat channel applies CHAT_MAX_LENGTH itself so it can tell the sender
+    text: field.string(1000),
+    mode: field.oneOf('room', 'proximity')
+  },
+  ignore: {
+    playerId: field.string(MAX_ID_LENGTH)
+  },
+  unignore: {
+    playerId: field.string(MAX_ID_LENGTH)
+  },
+  resync: {
+    lastTick: field.integer(0, Number.MAX_SAFE_INTEGER)
+  },
+  // Without camera or playerId a spectator follows the room's leader
+  spectate: {
+    roomCode: field.string(16),
+    playerId: field.string(MAX_ID_LENGTH),
+    camera: field.rect(),
+    snapshotMode: field.oneOf('full', 'delta')
+  },
+  watchReplay: {
+    replayId: field.string(64)
+  },
+  replayControl: {
+    action: field.oneOf('pause', 'play', 'seek', 'speed', 'follow'),
+    tick: field.integer(0, Number.MAX_SAFE_INTEGER),
+    speed: field.number(),
+    playerId: field.string(MAX_ID_LENGTH)
+  }
+};
+
+// Own keys only, so names like 'constructor' or '__proto__' are not mistaken for message types
+function isKnownMessageType(type) {
+  return typeof type === 'string' && Object.prototype.hasOwnProperty.call(SCHEMAS, type);
+}
+
+// Returns { data } holding only the schema's fields, or { error } for unknown types and malformed fields
+function validateMessage(type, data) {
+  if (!isKnownMessageType(type)) return { error: `unknown message type ${String(type).slice(0, MAX_ID_LENGTH)}` };
+  const schema = SCHEMAS[type];
+
+  // input used to be sent as { input: { keys, seq } }
+  const source = type === 'input' && data && typeof data.input === 'object' ? data.input : data;
+  if (source === null || typeof source !== 'object' || Array.isArray(source)) {
+    return { error: 'expected an object' };
+  }
+
+  const clean = {};
+  const fields = Object.keys(schema);
+  for (let i = 0; i < fields.length; i++) {
+    const key = fields[i];
+    if (source[key] === undefined || source[key] === null) continue;
+
+    const result = schema[key](source[key]);
+    if (result.error) return { error: `${type}.${key}: ${result.error}` };
+    if (result.value !== undefined) clean[key] = result.value;
+  }
+  return { data: clean };
+}
+
+module.exports = { validateMessage, isKnownMessageType, MOVEMENT_KEYS };
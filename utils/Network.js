@@ -0,0 +1,57 @@
+const WebSocket = require('ws');
+const BinaryProtocol = require('./BinaryProtocol');
+
+function send(ws, message, priority = 'normal') {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  if (ws.encoding === 'binary') {
+    const encoded = BinaryProtocol.encodePacket(message);
+    if (encoded) {
+      try {
+        ws.send(encoded, { binary: true });
+      } catch (err) {
+        console.error('[SERVER] Failed to send binary packet to client:', err);
+      }
+      return;
+    }
+  }
+  const packet = {
+    ...message,
+    timestamp: Date.now(),
+    priority
+  };
+  try {
+    ws.send(JSON.stringify(packet));
+  } catch (err) {
+    console.error('[SERVER] Failed to send packet to client:', err);
+  }
+}
+
+// Broadcast a message to every client in a clientId -> { ws } Map
+function broadcast(entries, message, excludeClientId = null) {
+  const serialized = JSON.stringify({
+    ...message,
+    timestamp: Date.now()
+  });
+  // encoded lazily, only if a binary client is listening
+  let encoded;
+  entries.forEach((entry, clientId) => {
+    if (clientId === excludeClientId) return;
+    const ws = entry.ws;
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      try {
+        if (ws.encoding === 'binary') {
+          if (encoded === undefined) encoded = BinaryProtocol.encodePacket(message);
+          if (encoded) {
+            ws.send(encoded, { binary: true });
+            return;
+          }
+        }
+        ws.send(serialized);
+      } catch (err) {
+        console.error('[SERVER] Broadcast send error:', err);
+      }
+    }
+  });
+}
+
+module.exports = { send, broadcast };
@@ -0,0 +1,46 @@
+// Seedable pseudo-random numbers (mulberry32). next() is bound, so it can be handed around wherever
+// a Math.random-style function is expected. Seeds may be numbers or strings.
+class Random {
+  constructor(seed = Random.randomSeed()) {
+    this.seed = typeof seed === 'string' ? Random.hashSeed(seed) : seed >>> 0;
+    this.state = this.seed;
+    this.next = this.next.bind(this);
+  }
+
+  // A float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  int(min, max) {
+    return Math.floor(this.range(min, max + 1));
+  }
+
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+
+  static randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  // FNV-1a
+  static hashSeed(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+module.exports = { Random };
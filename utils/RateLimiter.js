@@ -0,0 +1,27 @@
+// Token bucket: holds up to `capacity` tokens and regains `refillPerSecond` of them every second
+class TokenBucket {
+  constructor(capacity, refillPerSecond, now = Date.now()) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = now;
+  }
+
+  refill(now = Date.now()) {
+    const elapsed = Math.max(0, now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  // Spends `cost` tokens if they are available; returns false (spending nothing) otherwise, and for a cost
+  // that is not a positive number
+  take(cost = 1, now = Date.now()) {
+    if (!Number.isFinite(cost) || cost <= 0) return false;
+    this.refill(now);
+    if (this.tokens < cost) return false;
+    this.tokens -= cost;
+    return true;
+  }
+}
+
+module.exports = { TokenBucket };
@@ -0,0 +1,62 @@
+const { GameConfig } = require('../config/GameConfig');
+
+// Built-in blocklist; GameConfig.TEXT_BLOCKLIST adds server-specific words
+const BLOCKLIST = [
+  'fuck', 'shit', 'cunt', 'bitch', 'asshole', 'bastard', 'pussy',
+  'whore', 'slut', 'nigger', 'nigga', 'faggot', 'retard', 'nazi', 'hitler'
+];
+
+// Common letter substitutions undone before matching ("5h1t" -> "shit")
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+// Control characters, zero-width characters and bidi overrides
+const INVISIBLE_CHARS = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u2064\ufeff]/g;
+
+function getBlocklist() {
+  return BLOCKLIST.concat(GameConfig.TEXT_BLOCKLIST || []);
+}
+
+// Lowercased letters only, with lookalikes mapped back, for matching
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[0-9@$!]/g, char => LOOKALIKES[char] || char)
+    .replace(/[^a-z]/g, '');
+}
+
+function containsProfanity(text) {
+  const normalized = normalize(String(text));
+  return getBlocklist().some(word => normalized.includes(word));
+}
+
+// Masks blocklisted words found in individual words of the text
+function censor(text) {
+  return String(text).replace(/\S+/g, (word) => {
+    const normalized = normalize(word);
+    return getBlocklist().some(blocked => normalized.includes(blocked)) ? '*'.repeat(word.length) : word;
+  });
+}
+
+function stripInvisible(text) {
+  return String(text).replace(INVISIBLE_CHARS, '');
+}
+
+// Display name safe to show other players; null when nothing usable is left
+function sanitizeName(name) {
+  if (typeof name !== 'string') return null;
+
+  const cleaned = stripInvisible(name.normalize('NFKC').replace(/\s+/g, ' '))
+    .replace(/[<>]/g, '')
+    .trim()
+    .slice(0, GameConfig.PLAYER_NAME_MAX_LENGTH)
+    .trim();
+  if (!cleaned || containsProfanity(cleaned)) return null;
+  return cleaned;
+}
+
+module.exports = {
+  containsProfanity,
+  censor,
+  stripInvisible,
+  sanitizeName
+};